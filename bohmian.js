@@ -0,0 +1,248 @@
+// Pilot-wave (de Broglie–Bohm) trajectories behind the slits. The guiding wave is the
+// stationary field of wave_physics, one wavelet sinc(πw·sinθ/λ)/√r · e^{ikr} per slit, and
+// a particle moves with the guidance velocity v = Im(∇ψ/ψ) (ħ = m = 1). The field does not
+// change in time, so the trajectories are streamlines of the probability current and never
+// cross. The current through the screen is not |ψ|² there (it leans with the streamlines),
+// so each bundle of trajectories is picked with the |ψ|² it lands on, the density the
+// screen records and the distribution panel draws.
+import {
+  SCREEN_X,
+  SCREEN_Y_MIN,
+  SCREEN_Y_MAX,
+  SOURCE_X,
+  BARRIER_TOP,
+  BARRIER_BOTTOM,
+  BARRIER_THICKNESS,
+  getSlitX,
+  getSlitYs,
+} from './wave_physics';
+
+// Trajectories are tabulated as y every TRACE_STEP px of x, from the barrier to the screen
+export const TRACE_STEP = 2;
+// Streamlines start on a half circle of this radius around each slit centre
+const START_RADIUS = BARRIER_THICKNESS;
+// Evenly spaced streamlines in total, and at least this many per slit, before refinement
+const MAX_LINES = 120;
+const MIN_LINES_PER_SLIT = 16;
+// Neighbouring streamlines are bisected until they land at most this far apart (px)
+const MAX_LANDING_GAP = 1.5;
+const MAX_REFINE_DEPTH = 8;
+// Arc length (px) of one RK4 step
+const STEP_LENGTH = 1;
+
+const sinc = (u) => (Math.abs(u) < 1e-6 ? 1 : Math.sin(u) / u);
+const sincSlope = (u) => (Math.abs(u) < 1e-6 ? -u / 3 : (Math.cos(u) - sinc(u)) / u);
+
+// Probability current j = Im(ψ*∇ψ) at (x, y). Coherent slits add amplitudes; with
+// which-path tags (the eraser's polarizers) the slit currents add instead.
+const createCurrent = (params, coherent) => {
+  const { wavelength, slitWidth } = params;
+  const k = (2 * Math.PI) / wavelength;
+  const c = (Math.PI * slitWidth) / wavelength;
+  const slitX = getSlitX(params);
+  const slitYs = getSlitYs(params);
+  return (x, y) => {
+    let re = 0;
+    let im = 0;
+    let reX = 0;
+    let reY = 0;
+    let imX = 0;
+    let imY = 0;
+    let jx = 0;
+    let jy = 0;
+    slitYs.forEach(slitY => {
+      const dx = x - slitX;
+      const dy = y - slitY;
+      const r = Math.max(Math.sqrt(dx * dx + dy * dy), 1e-6);
+      const r3 = r * r * r;
+      const u = (c * dy) / r;
+      const root = Math.sqrt(r);
+      // A = sinc(u)/√r and its gradient
+      const a = sinc(u) / root;
+      const slope = sincSlope(u) / root;
+      const aX = slope * c * (-dy * dx / r3) - (a * dx) / (2 * r * r);
+      const aY = slope * c * (dx * dx / r3) - (a * dy) / (2 * r * r);
+      if (!coherent) {
+        // |A|² k ∇r for a single wavelet
+        jx += a * a * k * (dx / r);
+        jy += a * a * k * (dy / r);
+        return;
+      }
+      const cos = Math.cos(k * r);
+      const sin = Math.sin(k * r);
+      re += a * cos;
+      im += a * sin;
+      reX += cos * aX - a * k * sin * (dx / r);
+      reY += cos * aY - a * k * sin * (dy / r);
+      imX += sin * aX + a * k * cos * (dx / r);
+      imY += sin * aY + a * k * cos * (dy / r);
+    });
+    return coherent ? [re * imX - im * reX, re * imY - im * reY] : [jx, jy];
+  };
+};
+
+// |ψ|² on the screen from the same wavelets: coherent slits add amplitudes, tagged slits
+// add intensities
+const createScreenDensity = (params, coherent) => {
+  const { wavelength, slitWidth } = params;
+  const k = (2 * Math.PI) / wavelength;
+  const c = (Math.PI * slitWidth) / wavelength;
+  const dx = SCREEN_X - getSlitX(params);
+  const slitYs = getSlitYs(params);
+  return (y) => {
+    let re = 0;
+    let im = 0;
+    let sum = 0;
+    slitYs.forEach((slitY) => {
+      const dy = y - slitY;
+      const r = Math.sqrt(dx * dx + dy * dy);
+      const a = sinc((c * dy) / r) / Math.sqrt(r);
+      re += a * Math.cos(k * r);
+      im += a * Math.sin(k * r);
+      sum += a * a;
+    });
+    return coherent ? re * re + im * im : sum;
+  };
+};
+
+// Midpoint rule step (px) for the |ψ|² between two neighbouring landings
+const DENSITY_STEP = 0.25;
+
+// Streamlines of the current for one geometry, with |ψ|²-weighted sampling of a trajectory.
+// A pick { line, f } selects the trajectory a fraction f of the way between two neighbouring
+// traced streamlines of the same slit; interpolated trajectories keep the same order.
+export const createBohmianGuide = (params, { coherent = true } = {}) => {
+  const current = createCurrent(params, coherent);
+  const slitX = getSlitX(params);
+  const slitYs = getSlitYs(params);
+  const x0 = slitX + BARRIER_THICKNESS;
+  const columns = Math.ceil((SCREEN_X - x0) / TRACE_STEP) + 1;
+  const xs = Float64Array.from({ length: columns }, (_, i) => Math.min(x0 + i * TRACE_STEP, SCREEN_X));
+
+  const direction = (x, y) => {
+    const [jx, jy] = current(x, y);
+    const norm = Math.sqrt(jx * jx + jy * jy) || 1;
+    return [jx / norm, jy / norm];
+  };
+
+  // RK4 along the streamline by arc length, recording y where it first crosses each column
+  const trace = (startX, startY) => {
+    const ys = new Float32Array(columns).fill(NaN);
+    let x = startX;
+    let y = startY;
+    let column = 0;
+    const maxSteps = (4 * (SCREEN_X - slitX)) / STEP_LENGTH;
+    for (let step = 0; step < maxSteps && column < columns; step++) {
+      const h = STEP_LENGTH;
+      const [k1x, k1y] = direction(x, y);
+      const [k2x, k2y] = direction(x + (h / 2) * k1x, y + (h / 2) * k1y);
+      const [k3x, k3y] = direction(x + (h / 2) * k2x, y + (h / 2) * k2y);
+      const [k4x, k4y] = direction(x + h * k3x, y + h * k3y);
+      const nextX = x + (h / 6) * (k1x + 2 * k2x + 2 * k3x + k4x);
+      const nextY = y + (h / 6) * (k1y + 2 * k2y + 2 * k3y + k4y);
+      while (column < columns && xs[column] > x && xs[column] <= nextX) {
+        ys[column] = y + ((nextY - y) * (xs[column] - x)) / (nextX - x);
+        column++;
+      }
+      x = nextX;
+      y = nextY;
+      if (x < slitX || y < BARRIER_TOP || y > BARRIER_BOTTOM) break;
+    }
+    return ys;
+  };
+
+  // Start on the half circle around a slit at `angle`
+  const traceFrom = (slit, angle) => {
+    const slitY = slitYs[slit];
+    const startX = slitX + START_RADIUS * Math.cos(angle);
+    const startY = slitY + START_RADIUS * Math.sin(angle);
+    const ys = trace(startX, startY);
+    const landing = ys[columns - 1];
+    return {
+      slit,
+      angle,
+      entryY: slitY + (params.slitWidth / 2) * Math.sin(angle),
+      ys,
+      landing,
+      landed: landing >= SCREEN_Y_MIN && landing < SCREEN_Y_MAX,
+    };
+  };
+
+  // Evenly spaced start angles, bisected where neighbouring streamlines land far apart
+  // (around the fringe minima) or where one of them misses the screen range
+  const perSlit = Math.max(MIN_LINES_PER_SLIT, Math.floor(MAX_LINES / slitYs.length));
+  const lines = [];
+  slitYs.forEach((_, slit) => {
+    const base = Array.from({ length: perSlit }, (__, i) => (
+      traceFrom(slit, -Math.PI / 2 + ((i + 0.5) * Math.PI) / perSlit)
+    ));
+    const refine = (a, b, depth) => {
+      const apart = a.landed && b.landed
+        ? Math.abs(b.landing - a.landing) > MAX_LANDING_GAP
+        : a.landed !== b.landed;
+      if (!apart || depth === 0) return [a];
+      const middle = traceFrom(slit, (a.angle + b.angle) / 2);
+      return [...refine(a, middle, depth - 1), ...refine(middle, b, depth - 1)];
+    };
+    base.forEach((line, i) => {
+      if (i + 1 < base.length) lines.push(...refine(line, base[i + 1], MAX_REFINE_DEPTH));
+      else lines.push(line);
+    });
+  });
+
+  // Cumulative |ψ|² over the landings between neighbouring streamlines that both reach
+  // the screen range; a trajectory between them lands in proportion to f
+  const density = createScreenDensity(params, coherent);
+  const gaps = [];
+  let total = 0;
+  for (let i = 0; i + 1 < lines.length; i++) {
+    const a = lines[i];
+    const b = lines[i + 1];
+    if (a.slit !== b.slit || !a.landed || !b.landed) continue;
+    const width = Math.abs(b.landing - a.landing);
+    const steps = Math.max(1, Math.ceil(width / DENSITY_STEP));
+    let mass = 0;
+    for (let step = 0; step < steps; step++) {
+      mass += density(a.landing + ((step + 0.5) / steps) * (b.landing - a.landing));
+    }
+    total += (mass * width) / steps;
+    gaps.push({ line: i, cumulative: total });
+  }
+
+  const pick = (random) => {
+    const target = random() * total;
+    let lo = 0;
+    let hi = gaps.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (gaps[mid].cumulative < target) lo = mid + 1;
+      else hi = mid;
+    }
+    return { line: gaps[lo].line, f: random() };
+  };
+
+  const lerp = (a, b, f) => a + (b - a) * f;
+  const columnY = ({ line, f }, column) => lerp(lines[line].ys[column], lines[line + 1].ys[column], f);
+  const entryY = ({ line, f }) => lerp(lines[line].entryY, lines[line + 1].entryY, f);
+
+  // Height of a picked trajectory at x: straight from the source to the slit, then the streamline
+  const yAt = (chosen, x) => {
+    if (x <= slitX) return entryY(chosen);
+    if (x <= x0) return lerp(entryY(chosen), columnY(chosen, 0), (x - slitX) / (x0 - slitX));
+    const position = Math.min((x - x0) / TRACE_STEP, columns - 1);
+    const column = Math.floor(position);
+    if (column >= columns - 1) return columnY(chosen, columns - 1);
+    return lerp(columnY(chosen, column), columnY(chosen, column + 1), position - column);
+  };
+
+  const landingY = (chosen) => columnY(chosen, columns - 1);
+
+  // The whole path as [x, y] points, source to screen, for drawing a trace
+  const trajectory = (chosen) => [
+    [SOURCE_X, entryY(chosen)],
+    [slitX, entryY(chosen)],
+    ...Array.from(xs, (x, column) => [x, columnY(chosen, column)]),
+  ];
+
+  return { coherent, slitOf: ({ line }) => lines[line].slit, pick, yAt, landingY, trajectory };
+};
@@ -0,0 +1,147 @@
+// Minimal WebSocket relay for classroom sync; Node only, no dependencies.
+//
+//   node classroom_relay.mjs [--port 8787]
+//
+// Every text message a client sends is forwarded to the other clients in the same
+// room (ws://host:port/?room=name). The relay does not look inside the messages.
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 64 * 1024 * 1024;
+
+const portArg = process.argv.indexOf('--port');
+const port = portArg !== -1 ? parseInt(process.argv[portArg + 1], 10) : 8787;
+
+const rooms = new Map();
+
+// Frame a server → client message (never masked)
+const encodeFrame = (opcode, payload) => {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+};
+
+// Read complete client frames from the front of buffer; returns the frames and the rest
+const decodeFrames = (buffer) => {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const first = buffer[offset];
+    const second = buffer[offset + 1];
+    let length = second & 0x7f;
+    let headerLength = 2;
+    if (length === 126) {
+      if (buffer.length - offset < 4) break;
+      length = buffer.readUInt16BE(offset + 2);
+      headerLength = 4;
+    } else if (length === 127) {
+      if (buffer.length - offset < 10) break;
+      length = Number(buffer.readBigUInt64BE(offset + 2));
+      headerLength = 10;
+    }
+    if (length > MAX_PAYLOAD) throw new Error('Frame too large');
+    const masked = (second & 0x80) !== 0;
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length - offset < headerLength + maskLength + length) break;
+    const mask = buffer.subarray(offset + headerLength, offset + headerLength + maskLength);
+    const payload = Buffer.from(buffer.subarray(offset + headerLength + maskLength, offset + headerLength + maskLength + length));
+    if (masked) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+    frames.push({ fin: (first & 0x80) !== 0, opcode: first & 0x0f, payload });
+    offset += headerLength + maskLength + length;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+};
+
+const broadcast = (room, sender, text) => {
+  const frame = encodeFrame(0x1, Buffer.from(text, 'utf8'));
+  (rooms.get(room) || new Set()).forEach(client => {
+    if (client !== sender && !client.destroyed) client.write(frame);
+  });
+};
+
+const leave = (room, socket) => {
+  const members = rooms.get(room);
+  if (!members) return;
+  members.delete(socket);
+  if (members.size === 0) rooms.delete(room);
+};
+
+const server = http.createServer((req, res) => {
+  res.writeHead(426, { 'Content-Type': 'text/plain' });
+  res.end('WebSocket relay for classroom sync\n');
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '', '',
+  ].join('\r\n'));
+
+  const room = new URL(req.url, 'http://relay').searchParams.get('room') || 'default';
+  if (!rooms.has(room)) rooms.set(room, new Set());
+  rooms.get(room).add(socket);
+  console.log(`join  ${room} (${rooms.get(room).size})`);
+
+  let pending = Buffer.alloc(0);
+  // Payload of a fragmented text message until its final frame arrives
+  let fragments = null;
+
+  socket.on('data', (chunk) => {
+    let decoded;
+    try {
+      decoded = decodeFrames(Buffer.concat([pending, chunk]));
+    } catch (err) {
+      socket.destroy();
+      return;
+    }
+    pending = decoded.rest;
+    decoded.frames.forEach(({ fin, opcode, payload }) => {
+      if (opcode === 0x8) {
+        socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+      } else if (opcode === 0x9) {
+        socket.write(encodeFrame(0xa, payload));
+      } else if (opcode === 0x1 || opcode === 0x0) {
+        fragments = opcode === 0x1 ? [payload] : [...(fragments || []), payload];
+        if (fin) {
+          broadcast(room, socket, Buffer.concat(fragments).toString('utf8'));
+          fragments = null;
+        }
+      }
+    });
+  });
+
+  socket.on('close', () => {
+    leave(room, socket);
+    console.log(`leave ${room} (${rooms.get(room)?.size ?? 0})`);
+  });
+  socket.on('error', () => leave(room, socket));
+});
+
+server.listen(port, () => {
+  console.log(`Classroom relay listening on ws://localhost:${port}/?room=<name>`);
+});
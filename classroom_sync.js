@@ -0,0 +1,144 @@
+// Classroom sync: a presenter's settings and hit stream mirrored to follower browsers.
+// Messages are plain JSON objects { type, from, ... } sent over a transport:
+//   state     presenter → all   the synced settings (SYNC_STATE_KEYS)
+//   snapshot  presenter → all   run id and every hit, after a reset or a re-tag
+//   hits      presenter → all   hits appended since `offset` in run `run`
+//   hello     follower → all    a follower joined or lost track; the presenter answers with state + snapshot
+//   poll      presenter → all   open a prediction poll { id, options }
+//   vote      follower → all    { pollId, option }
+//   pollClose presenter → all   close a poll and share the tally
+//
+// A transport is { send(message), subscribe(handler) → unsubscribe, close() }.
+
+export const SYNC_STATE_KEYS = [
+  'mode',
+  'observerOn',
+  'measurementStrength',
+  'eraserOn',
+  'delayedChoice',
+  'isRunning',
+  'speed',
+  'showDistribution',
+  'params',
+  'aperture',
+  'tagView',
+  'preset',
+];
+
+// Answers for "predict the pattern" before a run
+export const PREDICTION_OPTIONS = ['fringes', 'twoBands', 'oneBand', 'unsure'];
+
+const CHANNEL_PREFIX = 'electron-wave-classroom';
+
+// Tabs and windows of one browser profile, no server needed
+export const createBroadcastTransport = (room) => {
+  const channel = new BroadcastChannel(`${CHANNEL_PREFIX}:${room}`);
+  const handlers = new Set();
+  channel.onmessage = (event) => handlers.forEach(handler => handler(event.data));
+  return {
+    send: (message) => channel.postMessage(message),
+    subscribe: (handler) => {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    },
+    close: () => channel.close(),
+  };
+};
+
+// Devices on the same network through classroom_relay.mjs. Messages sent while the
+// socket is (re)connecting are queued; a dropped connection is retried every few seconds.
+export const createWebSocketTransport = (relayUrl, room, { retryMs = 3000 } = {}) => {
+  // Throws on anything but a ws:// or wss:// URL, before a socket is opened
+  const url = new URL(relayUrl);
+  if (url.protocol !== 'ws:' && url.protocol !== 'wss:') {
+    throw new Error(`Relay "${relayUrl}" is not a ws:// or wss:// URL`);
+  }
+  url.searchParams.set('room', room);
+  const handlers = new Set();
+  const queue = [];
+  let socket = null;
+  let closed = false;
+  let retryTimer = null;
+
+  const connect = () => {
+    socket = new WebSocket(url.toString());
+    socket.onopen = () => {
+      while (queue.length > 0) socket.send(queue.shift());
+    };
+    socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (err) {
+        return;
+      }
+      handlers.forEach(handler => handler(message));
+    };
+    socket.onclose = () => {
+      if (!closed) retryTimer = setTimeout(connect, retryMs);
+    };
+  };
+
+  connect();
+
+  return {
+    send: (message) => {
+      const text = JSON.stringify(message);
+      if (socket.readyState === WebSocket.OPEN) socket.send(text);
+      else queue.push(text);
+    },
+    subscribe: (handler) => {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    },
+    close: () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      socket.close();
+    },
+  };
+};
+
+// A relay URL (ws:// or wss://) selects the WebSocket transport, otherwise BroadcastChannel
+export const createTransport = (relayUrl, room) => (
+  relayUrl ? createWebSocketTransport(relayUrl, room) : createBroadcastTransport(room)
+);
+
+const randomId = () => Math.random().toString(36).slice(2, 10);
+
+// Wrap a transport for one participant: stamps outgoing messages with this client's id,
+// drops its own echoes and dispatches the rest by type
+export const createClassroomSession = (transport, role, clientId = randomId()) => {
+  const listeners = new Map();
+  const unsubscribe = transport.subscribe((message) => {
+    if (!message || message.from === clientId) return;
+    (listeners.get(message.type) || []).forEach(listener => listener(message));
+  });
+
+  const send = (type, payload = {}) => transport.send({ ...payload, type, from: clientId, role });
+
+  const on = (type, listener) => {
+    if (!listeners.has(type)) listeners.set(type, []);
+    listeners.get(type).push(listener);
+  };
+
+  const close = () => {
+    unsubscribe();
+    transport.close();
+  };
+
+  return { role, clientId, send, on, close };
+};
+
+// Pick the synced settings out of a larger state object
+export const pickSyncState = (state) =>
+  Object.fromEntries(SYNC_STATE_KEYS.map(key => [key, state[key]]));
+
+// Count the latest vote per client for each option
+export const tallyVotes = (votes, options = PREDICTION_OPTIONS) => {
+  const counts = Object.fromEntries(options.map(option => [option, 0]));
+  votes.forEach(option => {
+    if (counts[option] !== undefined) counts[option]++;
+  });
+  return counts;
+};
@@ -1,81 +1,630 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
-
-// Constants
-const SLIT_Y1 = 150;
-const SLIT_Y2 = 200;
-const SLIT_WIDTH = 10;
-const SLIT_X = 180;
-const SCREEN_X = 340;
-const CENTER_Y = 175;
-
-// Wave interference calculation - produces multiple peaks
-const calculateInterference = (y) => {
-  const d = SLIT_Y2 - SLIT_Y1;
-  const L = SCREEN_X - SLIT_X;
-  const wavelength = 22;
-  const deltaY = y - CENTER_Y;
-  const pathDiff = (d * deltaY) / L;
-  const phase = (2 * Math.PI * pathDiff) / wavelength;
-  const envelope = Math.pow(Math.sin(deltaY / 40 + 0.001) / (deltaY / 40 + 0.001), 2) || 1;
-  const interference = Math.pow(Math.cos(phase / 2), 2);
-  return Math.max(0, interference * Math.min(envelope * 1.5, 1));
+import React, {
+  forwardRef,
+  useState,
+  useEffect,
+  useRef,
+  useCallback,
+  useMemo,
+  useId,
+  useImperativeHandle,
+} from 'react';
+import {
+  SCREEN_X,
+  CENTER_Y,
+  BARRIER_THICKNESS,
+  BARRIER_TOP,
+  BARRIER_BOTTOM,
+  SOURCE_X,
+  SCREEN_Y_MIN,
+  SCREEN_Y_MAX,
+  DEFAULT_PARAMS,
+  PARAM_RANGES,
+  FIELD_CELL,
+  constrainParams,
+  clampParams,
+  coherentParams,
+  paramsForMode,
+  getSlitX,
+  getSlitYs,
+  calculateInterference,
+  calculateClassical,
+  calculatePartial,
+  getDetectionStrength,
+  decoherenceProbability,
+  calculateEraserSubset,
+  fringeVisibility,
+  measuredVisibility,
+  fringeSpacing,
+  measuredFringeSpacing,
+  computeWaveField,
+} from './wave_physics';
+import { createSimulationEngine } from './simulation_engine';
+import {
+  histogramFromCounts,
+  histogramPdf,
+  theoryDistribution,
+  chiSquareTest,
+  ksTestBinned,
+  drawnDistribution,
+  overlapScore,
+} from './statistics';
+import {
+  serializeRun,
+  runToJson,
+  runToCsv,
+  parseRun,
+  downloadBlob,
+  downloadText,
+  composeSnapshotSvg,
+  svgToPngBlob,
+  createZip,
+} from './run_io';
+import {
+  TICKS_PER_SECOND,
+  REPLAY_SPEEDS,
+  SNAPSHOT_COUNTS,
+  sortByTime,
+  countAt,
+  buildUpCounts,
+  exposurePalette,
+  createExposure,
+  paintIndexed,
+} from './timelapse';
+import { encodeGif } from './gif_encoder';
+import {
+  availableLocales,
+  resolveLocale,
+  localeFromQuery,
+  storeLocaleInQuery,
+  createTranslator,
+} from './locales';
+import { parseLectureScript, localizedText } from './lecture_script';
+import {
+  PARTICLES,
+  PRESETS,
+  PRESET_KEYS,
+  presetScale,
+  presetParams,
+  energyForWavelength,
+  speedForWavelength,
+  siPrefix,
+  scaleBar,
+} from './units';
+import {
+  PREDICTION_OPTIONS,
+  createTransport,
+  createClassroomSession,
+  pickSyncState,
+  tallyVotes,
+} from './classroom_sync';
+
+// Aperture presets; the grating keeps its own adjustable slit count
+const APERTURES = {
+  single: { slitCount: 1 },
+  double: { slitCount: 2 },
+  grating: { slitCount: 5 },
+};
+
+// Coherence sliders, each with its value formatted for display
+const COHERENCE_PARAMS = [
+  { key: 'sourceWidth', format: (value, formatNumber) => `${formatNumber(value)}px` },
+  { key: 'wavelengthSpread', format: (value, formatNumber) => `${formatNumber(value * 100)}%` },
+  { key: 'decoherenceRate', format: (value, formatNumber) => formatNumber(value, 3) },
+];
+
+// Axis of the unit scale each geometry parameter is measured along
+const PARAM_AXES = {
+  wavelength: 'wavelength',
+  slitSpacing: 'aperture',
+  slitWidth: 'aperture',
+  screenDistance: 'distance',
+};
+
+// An SI quantity with a prefix, to three significant digits, e.g. "5.36 pm"
+const formatSI = (value, unit, formatNumber) => {
+  const { value: scaled, prefix } = siPrefix(value);
+  return `${formatNumber(Number(scaled.toPrecision(3)))} ${prefix}${unit}`;
+};
+
+// Coincidence subsets of the eraser histogram
+const ERASER_SUBSETS = ['all', 'plus', 'minus', 'H', 'V'];
+
+// Colour schemes. 'accessible' uses the Okabe–Ito colours, which stay distinct under the
+// common forms of colour blindness; shapes are also named in text wherever colour tells them apart.
+const PALETTES = {
+  standard: {
+    modes: { light: '#ff4444', particle: '#ffaa00', electron: '#00aaff', single: '#00ff88', eraser: '#cc66ff' },
+    tags: { plus: '#ff66cc', minus: '#66ffee', H: '#ffcc44', V: '#88aaff' },
+    theory: { interference: '#00aaff', classical: '#ffaa00' },
+  },
+  accessible: {
+    modes: { light: '#d55e00', particle: '#e69f00', electron: '#56b4e9', single: '#009e73', eraser: '#cc79a7' },
+    tags: { plus: '#f0e442', minus: '#56b4e9', H: '#e69f00', V: '#009e73' },
+    theory: { interference: '#56b4e9', classical: '#e69f00' },
+  },
+};
+
+const MODE_KEYS = ['light', 'particle', 'electron', 'single', 'eraser'];
+
+// With reduced motion the waves are drawn once, fully developed, instead of spreading
+const STILL_WAVE_TIME = 20;
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+const usePrefersReducedMotion = () => {
+  const [reduced, setReduced] = useState(
+    () => typeof window !== 'undefined' && !!window.matchMedia && window.matchMedia(REDUCED_MOTION_QUERY).matches
+  );
+  useEffect(() => {
+    if (!window.matchMedia) return undefined;
+    const query = window.matchMedia(REDUCED_MOTION_QUERY);
+    const onChange = () => setReduced(query.matches);
+    query.addEventListener('change', onChange);
+    return () => query.removeEventListener('change', onChange);
+  }, []);
+  return reduced;
+};
+
+// State a parent may control (value + onChange) or leave to the component (defaultValue).
+// The setter takes a value or an updater, like a useState setter, and reports every change.
+const useControllableState = (value, defaultValue, onChange) => {
+  const [own, setOwn] = useState(defaultValue);
+  const controlled = value !== undefined;
+  const current = controlled ? value : own;
+  const currentRef = useRef(current);
+  currentRef.current = current;
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+  const set = useCallback((next) => {
+    const resolved = typeof next === 'function' ? next(currentRef.current) : next;
+    if (Object.is(resolved, currentRef.current)) return;
+    currentRef.current = resolved;
+    if (!controlled) setOwn(resolved);
+    if (onChangeRef.current) onChangeRef.current(resolved);
+  }, [controlled]);
+  return [current, set];
+};
+
+// A palette by name, or a partial palette object laid over the standard one
+const resolvePalette = (theme) => {
+  if (!theme || typeof theme === 'string') return PALETTES[theme] || PALETTES.standard;
+  const { standard } = PALETTES;
+  return {
+    modes: { ...standard.modes, ...theme.modes },
+    tags: { ...standard.tags, ...theme.tags },
+    theory: { ...standard.theory, ...theme.theory },
+  };
+};
+
+// Screen-reader announcements at these hit counts, then every 1000
+const ANNOUNCE_COUNTS = [1, 10, 50, 100, 500, 1000];
+const announcementMilestone = (count) => (
+  count >= 1000 ? Math.floor(count / 1000) * 1000 : [...ANNOUNCE_COUNTS].reverse().find(n => count >= n) ?? 0
+);
+
+// Hidden visually, still read by screen readers
+const visuallyHidden = {
+  position: 'absolute',
+  width: 1,
+  height: 1,
+  padding: 0,
+  margin: -1,
+  overflow: 'hidden',
+  clip: 'rect(0, 0, 0, 0)',
+  whiteSpace: 'nowrap',
+  border: 0,
+};
+
+const HISTOGRAM_BIN = 4;
+const HISTOGRAM_VIEW = 280;
+// Bars in the histogram panel start at x = 25; screen y maps onto panel y 45–265
+const HISTOGRAM_BAR_X = 25;
+const toPanelY = (y) => ((y - 60) / 230) * 220 + 45;
+const fromPanelY = (panelY) => ((panelY - 45) / 220) * 230 + 60;
+
+// Whether a demo is among those a page offers; runs, lecture steps and a presenter's
+// state may switch only to these
+const offersMode = (modes, key) => modes.includes(key);
+
+const apertureForSlitCount = (slitCount) => {
+  if (slitCount === 1) return 'single';
+  return slitCount === 2 ? 'double' : 'grating';
+};
+
+const exportButtonStyle = {
+  padding: '4px 10px',
+  border: '1px solid #444',
+  borderRadius: 4,
+  background: 'transparent',
+  color: '#999',
+  cursor: 'pointer',
+  fontSize: 12,
 };
 
-// Classical two-peak distribution
-const calculateClassical = (y) => {
-  const sigma = 18;
-  const peak1 = Math.exp(-Math.pow(y - SLIT_Y1, 2) / (2 * sigma * sigma));
-  const peak2 = Math.exp(-Math.pow(y - SLIT_Y2, 2) / (2 * sigma * sigma));
-  return (peak1 + peak2) * 0.9;
+// p-values below the display precision are shown as a bound
+const formatPValue = (p, formatNumber) => (p < 0.001 ? `<${formatNumber(0.001, 3)}` : formatNumber(p, 3));
+
+// SVG viewBox of the experiment view
+const VIEW_WIDTH = 380;
+const VIEW_HEIGHT = 350;
+
+const WAVE_VIEWS = ['circles', 'field', 'intensity'];
+
+const hexToRgb = (hex) => {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
 };
 
-export default function ElectronWaveSimulation() {
-  const [mode, setMode] = useState('light');
+// Paint Re(ψ e^{-iωt}) or |ψ|² into the canvas; cells the wavefront has not reached stay dark
+const drawWaveField = (canvas, field, view, waveTime, color) => {
+  const { cols, rows, re, im, reach, k, refIntensity } = field;
+  if (canvas.width !== cols) canvas.width = cols;
+  if (canvas.height !== rows) canvas.height = rows;
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(cols, rows);
+  const [cr, cg, cb] = hexToRgb(color);
+  const front = waveTime * 35;
+  const omegaT = k * front;
+  const cos = Math.cos(omegaT);
+  const sin = Math.sin(omegaT);
+  const ampScale = 1 / Math.sqrt(refIntensity);
+  for (let idx = 0; idx < cols * rows; idx++) {
+    const o = idx * 4;
+    if (reach[idx] > front) continue;
+    if (view === 'intensity') {
+      const level = Math.min(1, Math.sqrt((re[idx] * re[idx] + im[idx] * im[idx]) / refIntensity));
+      image.data[o] = cr * level;
+      image.data[o + 1] = cg * level;
+      image.data[o + 2] = cb * level;
+      image.data[o + 3] = 255 * level;
+    } else {
+      const value = Math.max(-1, Math.min(1, (re[idx] * cos + im[idx] * sin) * ampScale * 0.7));
+      const level = Math.abs(value);
+      // Crests in the mode colour, troughs in a cool complement
+      image.data[o] = value > 0 ? cr : 40;
+      image.data[o + 1] = value > 0 ? cg : 90;
+      image.data[o + 2] = value > 0 ? cb : 200;
+      image.data[o + 3] = 255 * level;
+    }
+  }
+  ctx.putImageData(image, 0, 0);
+};
+
+// Detector plate: hits land across its width, accumulated on an offscreen canvas
+// at PLATE_SCALE canvas px per SVG px so long runs cost one dot per new hit
+const PLATE_WIDTH = 24;
+const PLATE_SCALE = 3;
+const PLATE_DOT_ALPHA = 0.3;
+const FAST_FORWARD_MAX = 100000;
+// Detections per frame while fast-forwarding, small enough to keep the page responsive
+const FAST_FORWARD_BATCH = 2000;
+
+const createPlate = () => {
+  const plate = document.createElement('canvas');
+  plate.width = PLATE_WIDTH * PLATE_SCALE;
+  plate.height = (BARRIER_BOTTOM - BARRIER_TOP) * PLATE_SCALE;
+  return plate;
+};
+
+// Position across the plate; imported hits without z get a golden-ratio spread
+const plateZ = (hit, index) => hit.z ?? ((index * 0.6180339887) % 1);
+
+// Build-up images of the plate: snapshot thumbnails and exported animation frames (px)
+const SNAPSHOT_SIZE = { width: 60, height: 100 };
+const BUILD_UP_SIZE = { width: 160, height: 280 };
+const BUILD_UP_FRAMES = 48;
+const BUILD_UP_LEVELS = 32;
+// Longest replay step after a stall, e.g. a hidden tab (ticks)
+const MAX_REPLAY_STEP = 15;
+
+// Add hits[from..to) to the plate; overlapping dots add up, so dense fringes saturate
+// like an exposed photographic plate
+const paintPlateHits = (plate, hits, from, to, colorOf) => {
+  const ctx = plate.getContext('2d');
+  ctx.globalCompositeOperation = 'lighter';
+  ctx.globalAlpha = PLATE_DOT_ALPHA;
+  let fill = null;
+  for (let i = from; i < to; i++) {
+    const hit = hits[i];
+    const color = colorOf(hit);
+    if (color !== fill) {
+      ctx.fillStyle = color;
+      fill = color;
+    }
+    ctx.fillRect(plateZ(hit, i) * (plate.width - 2), (hit.y - BARRIER_TOP) * PLATE_SCALE - 1, 2, 2);
+  }
+};
+
+// Columns of the solver grid left of the screen; the rest is absorbing margin
+const solverDisplayColumns = (solver) => Math.floor((SCREEN_X - solver.xMin) / solver.dx);
+
+// Paint |ψ|² of the evolving packet, scaled to its current peak
+const drawSolverDensity = (canvas, solver, color) => {
+  const cols = solverDisplayColumns(solver);
+  const { nx, ny } = solver;
+  if (canvas.width !== cols) canvas.width = cols;
+  if (canvas.height !== ny) canvas.height = ny;
+  const density = solver.density();
+  let peak = 1e-12;
+  for (let i = 0; i < density.length; i++) peak = Math.max(peak, density[i]);
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(cols, ny);
+  const [cr, cg, cb] = hexToRgb(color);
+  for (let iy = 0; iy < ny; iy++) {
+    for (let ix = 0; ix < cols; ix++) {
+      const level = Math.sqrt(density[iy * nx + ix] / peak);
+      const o = (iy * cols + ix) * 4;
+      image.data[o] = cr;
+      image.data[o + 1] = cg;
+      image.data[o + 2] = cb;
+      image.data[o + 3] = 255 * level;
+    }
+  }
+  ctx.putImageData(image, 0, 0);
+};
+
+// Props, all optional:
+//   mode, defaultMode, onModeChange(mode)          controlled or uncontrolled demo
+//   modes                                           demos offered, in this order (default all five)
+//   params, defaultParams, onParamsChange(params)   controlled or uncontrolled experiment parameters
+//   observerOn, defaultObserverOn, onObserverChange(on)
+//   theme        'standard', 'accessible' or a partial palette { modes, tags, theory }; hides the picker
+//   locale       fixes the language and hides the switcher
+//   seed         seed of the first run
+//   shortcuts    'page' (default), 'focus' (only while focus is inside this instance) or 'off'
+//   urlParams    read ?lang, ?lecture and ?classroom and keep ?lang up to date (default true);
+//                turn off when several instances share a page
+//   onHit(hits, total)                   after every batch of new detections
+//   onRunComplete({ mode, count, hits }) when a run reaches its target count or fireN finishes
+//   className, style                     for the outer element
+// The ref handle offers start(count?), stop(), reset(seed?) and fireN(count) → Promise<total>.
+const ElectronWaveSimulation = forwardRef(function ElectronWaveSimulation({
+  mode: modeProp,
+  defaultMode = 'light',
+  onModeChange,
+  modes = MODE_KEYS,
+  params: paramsProp,
+  defaultParams = DEFAULT_PARAMS,
+  onParamsChange,
+  observerOn: observerProp,
+  defaultObserverOn = false,
+  onObserverChange,
+  theme,
+  locale: localeProp,
+  seed: initialSeed,
+  shortcuts = 'page',
+  urlParams = true,
+  onHit,
+  onRunComplete,
+  className,
+  style,
+}, ref) {
+  const [mode, changeMode] = useControllableState(modeProp, defaultMode, onModeChange);
   const [isRunning, setIsRunning] = useState(false);
   const [particles, setParticles] = useState([]);
-  const [screenHits, setScreenHits] = useState([]);
-  const [particleCount, setParticleCount] = useState(0);
   const [speed, setSpeed] = useState(1.5);
-  const [observerOn, setObserverOn] = useState(false);
+  const [observerOn, setObserverOn] = useControllableState(observerProp, defaultObserverOn, onObserverChange);
   const [waveTime, setWaveTime] = useState(0);
   const [showDistribution, setShowDistribution] = useState(false);
+  const [requestedParams, setParams] = useControllableState(paramsProp, defaultParams, onParamsChange);
+  // The eraser's polarizers need two slits, whichever mode and geometry the props ask for
+  const params = useMemo(() => paramsForMode(mode, requestedParams), [mode, requestedParams]);
+  const [aperture, setAperture] = useState(() => apertureForSlitCount(params.slitCount));
+  // Historical setup whose units label the geometry; 'custom' keeps px units
+  const [preset, setPreset] = useState('custom');
+  const unitScale = useMemo(() => (preset === 'custom' ? null : presetScale(PRESETS[preset])), [preset]);
+  const [waveView, setWaveView] = useState('circles');
+  const [solverOn, setSolverOn] = useState(false);
+  // Pilot-wave view: electrons follow Bohmian trajectories, drawn as persistent traces
+  const [bohmian, setBohmian] = useState(false);
+  const [traces, setTraces] = useState([]);
+  const [measurementStrength, setMeasurementStrength] = useState(1);
+  const [eraserOn, setEraserOn] = useState(false);
+  const [delayedChoice, setDelayedChoice] = useState(false);
+  const [tagView, setTagView] = useState('all');
+  const [ioMessage, setIoMessage] = useState(null);
+  const [chosenLocale, setLocale] = useState(() => resolveLocale(urlParams ? localeFromQuery() : null));
+  const locale = localeProp ? resolveLocale(localeProp) : chosenLocale;
+  const { t, formatNumber } = useMemo(() => createTranslator(locale), [locale]);
+  const [fastForwardCount, setFastForwardCount] = useState(1000);
+  const [fastForwardLeft, setFastForwardLeft] = useState(0);
+  const [lecture, setLecture] = useState(null);
+  const [lectureStep, setLectureStep] = useState(0);
+  // Hits a lecture step asks to fast-forward, fired once the step's settings are applied
+  const [lectureFastForward, setLectureFastForward] = useState(0);
+  // Classroom sync: ?classroom=follower&room=…&relay=ws://… opens a student link directly
+  const [classroom, setClassroom] = useState(() => {
+    const query = new URLSearchParams(urlParams && typeof window !== 'undefined' ? window.location.search : '');
+    const role = query.get('classroom');
+    return {
+      role: role === 'presenter' || role === 'follower' ? role : 'off',
+      room: query.get('room') || 'lecture',
+      relay: query.get('relay') || '',
+    };
+  });
+  // Prediction poll: { id, open, votes: { clientId: option } } on the presenter,
+  // { id, open, vote, tally } on a follower
+  const [poll, setPoll] = useState(null);
+  // Hand-drawn prediction as { y (screen), height (panel px) } points, in drawing order
+  const [prediction, setPrediction] = useState([]);
+  const [drawingPrediction, setDrawingPrediction] = useState(false);
+  const [paletteKey, setPaletteKey] = useState('standard');
+  const palette = useMemo(() => resolvePalette(theme || paletteKey), [theme, paletteKey]);
+  const systemReducedMotion = usePrefersReducedMotion();
+  // null follows the system setting
+  const [reducedMotionChoice, setReducedMotionChoice] = useState(null);
+  const reducedMotion = reducedMotionChoice ?? systemReducedMotion;
+  const [announcement, setAnnouncement] = useState('');
+  const a11yId = useId();
+  // SVG ids are referenced from url(#…), so this instance's are kept free of the colons useId adds
+  const svgId = `ews${a11yId.replace(/:/g, '')}`;
+  const rootRef = useRef(null);
+  const presenting = classroom.role === 'presenter';
+  const following = classroom.role === 'follower';
   const animationRef = useRef(null);
   const lastTimeRef = useRef(0);
+  const fieldCanvasRef = useRef(null);
+  const solverCanvasRef = useRef(null);
+  const experimentSvgRef = useRef(null);
+  const histogramSvgRef = useRef(null);
+  const importInputRef = useRef(null);
+  const lectureInputRef = useRef(null);
+  const lectureQueryRef = useRef(false);
+  const sessionRef = useRef(null);
+  // Latest synced settings, for answering a follower's hello from inside the session listeners
+  const syncStateRef = useRef(null);
+  // Presenter: hit array, count and run id last sent. Follower: run id being mirrored.
+  const sentHitsRef = useRef({ hits: null, count: 0, run: 0 });
+  const followedRunRef = useRef(null);
+  // Current translator and demos, so the session listeners see them without reconnecting
+  const translateRef = useRef(t);
+  translateRef.current = t;
+  const modesRef = useRef(modes);
+  modesRef.current = modes;
+  // Follower: false while the presenter shows a demo this page does not offer
+  const mirroringRef = useRef(true);
+  const strokeRef = useRef(false);
+  const plateCanvasRef = useRef(null);
+  const plateRef = useRef(null);
+  // Hits already painted on the plate; -1 forces a full repaint
+  const platePaintedRef = useRef(-1);
+  const fastForwardRef = useRef(null);
+  // Resolves the promise of the fast-forward in progress
+  const fastForwardDoneRef = useRef(null);
+  // Total hit count at which a started run stops by itself (0: no target)
+  const [runTarget, setRunTarget] = useState(0);
+  // Latest callbacks, so the animation and batches always report to the current props
+  const callbacksRef = useRef(null);
+  callbacksRef.current = { onHit, onRunComplete };
+  const [seed, setSeed] = useState(() => initialSeed ?? Math.floor(Math.random() * 1e9));
+  const engineRef = useRef(null);
+  if (!engineRef.current) engineRef.current = createSimulationEngine({}, seed);
+  const engine = engineRef.current;
+  // The engine's hits and running bin counts grow in place; a new log object marks each change
+  const [hitLog, setHitLog] = useState(() => ({ hits: engine.hits, count: 0, binned: engine.histogram }));
+
+  // Keep the engine in step with the UI settings; the solver it builds for them is drawn
+  const [solver, setSolver] = useState(null);
+  useEffect(() => {
+    engine.configure({ mode, params, observerOn, measurementStrength, eraserOn, delayedChoice, solverOn, bohmian });
+    setSolver(engine.solver);
+  }, [engine, mode, params, observerOn, measurementStrength, eraserOn, delayedChoice, solverOn, bohmian]);
+
+  const publishHits = useCallback(() => {
+    setHitLog({ hits: engine.hits, count: engine.hits.length, binned: engine.histogram });
+  }, [engine]);
+
+  const reportHits = useCallback((added) => {
+    if (added.length > 0 && callbacksRef.current.onHit) callbacksRef.current.onHit(added, engine.hits.length);
+  }, [engine]);
+
+  const completeRun = useCallback(() => {
+    if (callbacksRef.current.onRunComplete) {
+      callbacksRef.current.onRunComplete({ mode: engine.settings.mode, count: engine.hits.length, hits: engine.hits });
+    }
+  }, [engine]);
+
+  const finishFastForward = useCallback(() => {
+    const done = fastForwardDoneRef.current;
+    fastForwardDoneRef.current = null;
+    if (done) done(engine.hits.length);
+  }, [engine]);
+
+  // Mirror the engine into component state after hits were cleared, replaced or re-tagged
+  const syncFromEngine = useCallback(() => {
+    setParticles(engine.particles);
+    setTraces(engine.traces);
+    platePaintedRef.current = -1;
+    publishHits();
+  }, [engine, publishHits]);
 
-  const reset = useCallback(() => {
+  // Replay of a recorded run: the engine holds its hits up to `time`, in time order
+  const [replay, setReplay] = useState(null);
+  const replayRef = useRef(replay);
+  replayRef.current = replay;
+  // Replayed hits currently loaded into the engine
+  const replayShownRef = useRef(0);
+  const [replaySpeed, setReplaySpeed] = useState(100);
+  // The run before the last reset, import or geometry change, kept for replay
+  const [previousRun, setPreviousRun] = useState(null);
+
+  const keepRun = useCallback((runParams = engine.settings.params) => {
+    const hits = replayRef.current ? replayRef.current.hits : engine.hits;
+    if (hits.length === 0) return;
+    setPreviousRun(serializeRun({ settings: { ...engine.settings, params: runParams }, seed: engine.seed, hits }));
+  }, [engine]);
+
+  // Leave a replay with all of its hits back in the engine
+  const closeReplay = useCallback(() => {
+    const current = replayRef.current;
+    if (!current) return;
+    replayRef.current = null;
+    setReplay(null);
+    engine.load(current.hits);
+    syncFromEngine();
+  }, [engine, syncFromEngine]);
+
+  const reset = useCallback((runSeed = seed) => {
+    keepRun();
+    replayRef.current = null;
+    setReplay(null);
     setIsRunning(false);
-    setParticles([]);
-    setScreenHits([]);
-    setParticleCount(0);
     setWaveTime(0);
+    engine.reset(runSeed);
+    syncFromEngine();
     if (animationRef.current) cancelAnimationFrame(animationRef.current);
-  }, []);
+    if (fastForwardRef.current) cancelAnimationFrame(fastForwardRef.current);
+    fastForwardRef.current = null;
+    finishFastForward();
+    setFastForwardLeft(0);
+    setRunTarget(0);
+  }, [engine, seed, syncFromEngine, finishFastForward, keepRun]);
 
-  const getTargetY = useCallback((isObserved) => {
-    const calcFunc = isObserved ? calculateClassical : calculateInterference;
-    let attempts = 0;
-    while (attempts < 150) {
-      const y = CENTER_Y + (Math.random() - 0.5) * 200;
-      if (y < 60 || y > 290) continue;
-      const probability = calcFunc(y);
-      if (Math.random() < probability) return y;
-      attempts++;
-    }
-    return isObserved ? (Math.random() > 0.5 ? SLIT_Y1 : SLIT_Y2) : CENTER_Y;
-  }, []);
+  // Changing the geometry invalidates the collected hits, but keeps the run going
+  const updateParam = useCallback((key, value) => {
+    setParams(prev => constrainParams({ ...prev, [key]: value }, key));
+  }, [setParams]);
 
-  const spawnParticle = useCallback(() => {
-    const isObserved = mode === 'particle' || observerOn;
-    return {
-      id: Date.now() + Math.random(),
-      x: 25,
-      y: CENTER_Y + (Math.random() - 0.5) * 30,
-      targetY: getTargetY(isObserved),
-      throughSlit: Math.random() > 0.5 ? 1 : 2,
-      phase: Math.random() * Math.PI * 2,
-      observed: isObserved,
-    };
-  }, [mode, observerOn, getTargetY]);
+  // Parameters the current hits were recorded with; hits from other parameters are dropped,
+  // whether the change came from a slider or from the parent
+  const hitsParamsRef = useRef(params);
+  useEffect(() => {
+    if (hitsParamsRef.current === params) return;
+    const recordedWith = hitsParamsRef.current;
+    hitsParamsRef.current = params;
+    // A follower's hits always come from the presenter
+    if (following) return;
+    keepRun(recordedWith);
+    replayRef.current = null;
+    setReplay(null);
+    engine.clear();
+    syncFromEngine();
+  }, [params, engine, syncFromEngine, following, keepRun]);
+
+  const updateMeasurementStrength = useCallback((value) => {
+    keepRun();
+    replayRef.current = null;
+    setReplay(null);
+    setMeasurementStrength(value);
+    engine.clear();
+    syncFromEngine();
+  }, [engine, syncFromEngine, keepRun]);
+
+  const selectAperture = useCallback((key) => {
+    setAperture(key);
+    updateParam('slitCount', APERTURES[key].slitCount);
+  }, [updateParam]);
+
+  // A historical setup sets the geometry and wavelength and gives them real units
+  const selectPreset = useCallback((key) => {
+    setPreset(key);
+    if (key === 'custom') return;
+    const next = presetParams(PRESETS[key]);
+    setAperture(apertureForSlitCount(next.slitCount));
+    setParams(prev => constrainParams({ ...prev, ...next }));
+  }, [setParams]);
+
+  const slitX = getSlitX(params);
+  const slitYs = useMemo(() => getSlitYs(params), [params]);
 
   useEffect(() => {
     if (!isRunning) return;
@@ -83,103 +632,837 @@ export default function ElectronWaveSimulation() {
       const deltaTime = timestamp - lastTimeRef.current;
       if (deltaTime > 16) {
         lastTimeRef.current = timestamp;
-        setWaveTime(t => t + 0.12 * speed);
-
-        if (mode !== 'light') {
-          setParticles(prev => {
-            const updated = prev.map(p => {
-              const newX = p.x + 3 * speed;
-              let newY = p.y;
-              if (newX > SLIT_X - 25 && newX < SLIT_X + 25) {
-                const targetSlitY = p.throughSlit === 1 ? SLIT_Y1 : SLIT_Y2;
-                newY = p.y + (targetSlitY - p.y) * 0.1;
-              } else if (newX >= SLIT_X + 25) {
-                newY = p.y + (p.targetY - p.y) * 0.05;
-              }
-              return { ...p, x: newX, y: newY, phase: p.phase + 0.25 * speed };
-            });
-
-            const stillActive = [];
-            updated.forEach(p => {
-              if (p.x >= SCREEN_X) {
-                setScreenHits(prev => [...prev, { y: p.targetY }]);
-                setParticleCount(c => c + 1);
-              } else {
-                stillActive.push(p);
-              }
-            });
-            return stillActive;
-          });
-
-          const spawnRate = mode === 'single' ? 0.025 : 0.15;
-          const maxParticles = mode === 'single' ? 1 : 12;
-          setParticles(prev => {
-            if (prev.length < maxParticles && Math.random() < spawnRate * speed) {
-              return [...prev, spawnParticle()];
-            }
-            return prev;
-          });
+        setWaveTime(t => (reducedMotion ? STILL_WAVE_TIME : t + 0.12 * speed));
+
+        // Followers only show the presenter's hits
+        if (mode !== 'light' && !following) {
+          const added = engine.step(speed);
+          setParticles(engine.particles);
+          setTraces(engine.traces);
+          if (added.length > 0) publishHits();
+          reportHits(added);
+          if (engine.solver && solverCanvasRef.current) {
+            drawSolverDensity(solverCanvasRef.current, engine.solver, palette.modes[mode]);
+          }
         }
       }
       animationRef.current = requestAnimationFrame(animate);
     };
     animationRef.current = requestAnimationFrame(animate);
     return () => { if (animationRef.current) cancelAnimationFrame(animationRef.current); };
-  }, [isRunning, mode, speed, spawnParticle]);
+  }, [isRunning, mode, speed, engine, publishHits, reportHits, following, reducedMotion, palette]);
+
+  // Fire many detections in one go, e.g. to show 10⁴ electrons without waiting,
+  // spread over frames in batches; resolves with the total hit count when done or cancelled
+  const fastForward = useCallback((count) => {
+    closeReplay();
+    if (fastForwardRef.current) cancelAnimationFrame(fastForwardRef.current);
+    finishFastForward();
+    return new Promise((resolve) => {
+      fastForwardDoneRef.current = resolve;
+      let remaining = count;
+      const burst = () => {
+        const batch = Math.min(FAST_FORWARD_BATCH, remaining);
+        reportHits(engine.fire(batch));
+        remaining -= batch;
+        publishHits();
+        setTraces(engine.traces);
+        setFastForwardLeft(remaining);
+        if (remaining > 0) {
+          fastForwardRef.current = requestAnimationFrame(burst);
+          return;
+        }
+        fastForwardRef.current = null;
+        completeRun();
+        finishFastForward();
+      };
+      burst();
+    });
+  }, [engine, publishHits, reportHits, completeRun, finishFastForward, closeReplay]);
+
+  useEffect(() => () => {
+    if (fastForwardRef.current) cancelAnimationFrame(fastForwardRef.current);
+  }, []);
+
+  // The mode this component last asked for; any other value was set by the parent
+  const ownModeRef = useRef(mode);
+  const setMode = useCallback((key) => {
+    ownModeRef.current = key;
+    changeMode(key);
+  }, [changeMode]);
+
+  // Switching demos starts from a clean slate
+  const selectMode = useCallback((key) => {
+    reset();
+    setMode(key);
+    setObserverOn(false);
+    setShowDistribution(false);
+    setEraserOn(false);
+    setTagView('all');
+    // The polarizer tags need exactly two slits
+    if (key === 'eraser') selectAperture('double');
+  }, [reset, setMode, setObserverOn, selectAperture]);
+
+  // Settle the state (or tell the parent) on the geometry actually shown
+  useEffect(() => {
+    if (params !== requestedParams) setParams(params);
+  }, [params, requestedParams, setParams]);
+
+  // A mode switched by the parent gets the same clean slate
+  useEffect(() => {
+    if (mode !== ownModeRef.current) selectMode(mode);
+  }, [mode, selectMode]);
+
+  // Imperative control for a host page: start(count) runs until count more hits have landed
+  useImperativeHandle(ref, () => ({
+    start: (count) => {
+      if (count > 0) setRunTarget(engine.hits.length + count);
+      setIsRunning(true);
+    },
+    stop: () => setIsRunning(false),
+    reset: (runSeed) => {
+      if (runSeed !== undefined) setSeed(runSeed);
+      reset(runSeed);
+    },
+    fireN: (count) => fastForward(count),
+  }), [engine, reset, fastForward]);
+
+  // Keyboard events this instance should act on
+  const acceptsShortcut = useCallback((e) => {
+    if (shortcuts === 'off') return false;
+    return shortcuts === 'page' || (!!rootRef.current && rootRef.current.contains(e.target));
+  }, [shortcuts]);
+
+  // Shortcuts: Space start/stop, R reset, 1–5 demos, O observer, D distribution panel
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey || !e.target.closest || !acceptsShortcut(e)) return;
+      if (e.target.closest('input, select, textarea')) return;
+      const key = e.key.toLowerCase();
+      if (e.key === ' ') {
+        // Space on a focused button presses that button
+        if (e.target.closest('button, summary, a')) return;
+        e.preventDefault();
+        setIsRunning(running => !running);
+      } else if (key === 'r') {
+        reset();
+      } else if (key === 'o') {
+        if (mode !== 'electron' && mode !== 'single') return;
+        reset();
+        setObserverOn(on => !on);
+      } else if (key === 'd') {
+        setShowDistribution(show => !show);
+      } else if (/^[1-9]$/.test(e.key) && Number(e.key) <= modes.length) {
+        selectMode(modes[Number(e.key) - 1]);
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [mode, modes, reset, selectMode, setObserverOn, acceptsShortcut]);
+
+  const applyLectureStep = useCallback((step) => {
+    selectMode(step.mode);
+    setObserverOn(step.observer);
+    setMeasurementStrength(step.measurementStrength);
+    setEraserOn(step.eraser);
+    setSpeed(step.speed);
+    setShowDistribution(step.showDistribution);
+    if (step.targetCount > 0 && step.mode !== 'light') {
+      if (step.fastForward) setLectureFastForward(step.targetCount);
+      else setIsRunning(true);
+    } else if (step.mode === 'light') {
+      setIsRunning(true);
+    }
+  }, [selectMode, setObserverOn]);
+
+  const goToLectureStep = useCallback((index) => {
+    if (!lecture) return;
+    const next = Math.max(0, Math.min(lecture.steps.length - 1, index));
+    setLectureStep(next);
+    applyLectureStep(lecture.steps[next]);
+  }, [lecture, applyLectureStep]);
+
+  // Throws before anything changes if a step switches to a demo this page does not offer
+  const startLecture = useCallback((script) => {
+    const refused = script.steps.findIndex(step => !offersMode(modes, step.mode));
+    if (refused !== -1) {
+      throw new Error(t('lecture.unsupportedMode', { step: refused + 1, mode: script.steps[refused].mode }));
+    }
+    setLecture(script);
+    setLectureStep(0);
+    applyLectureStep(script.steps[0]);
+  }, [applyLectureStep, modes, t]);
+
+  // The render after applying a step has configured the engine for it
+  useEffect(() => {
+    if (lectureFastForward === 0) return;
+    fastForward(lectureFastForward);
+    setLectureFastForward(0);
+  }, [lectureFastForward, fastForward]);
+
+  // A running lecture step, or a run started with a count, stops by itself at its target
+  const lectureTarget = lecture && !lecture.steps[lectureStep].fastForward ? lecture.steps[lectureStep].targetCount : 0;
+  const stopAt = runTarget || lectureTarget;
+  useEffect(() => {
+    if (!isRunning || stopAt === 0 || mode === 'light' || hitLog.count < stopAt) return;
+    setIsRunning(false);
+    setRunTarget(0);
+    completeRun();
+  }, [isRunning, stopAt, mode, hitLog, completeRun]);
+
+  // Clicker and keyboard navigation: →/PageDown next, ←/PageUp back, Esc ends the lecture
+  useEffect(() => {
+    if (!lecture) return undefined;
+    const onKeyDown = (e) => {
+      if (!acceptsShortcut(e) || (e.target.closest && e.target.closest('input, select, textarea'))) return;
+      if (e.key === 'ArrowRight' || e.key === 'PageDown') {
+        e.preventDefault();
+        goToLectureStep(lectureStep + 1);
+      } else if (e.key === 'ArrowLeft' || e.key === 'PageUp') {
+        e.preventDefault();
+        goToLectureStep(lectureStep - 1);
+      } else if (e.key === 'Escape') {
+        setLecture(null);
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [lecture, lectureStep, goToLectureStep, acceptsShortcut]);
+
+  // ?lecture=<url> opens a script on page load
+  useEffect(() => {
+    if (lectureQueryRef.current || !urlParams || typeof window === 'undefined') return;
+    lectureQueryRef.current = true;
+    const url = new URLSearchParams(window.location.search).get('lecture');
+    if (!url) return;
+    fetch(url)
+      .then(response => response.text())
+      .then(text => startLecture(parseLectureScript(text)))
+      .catch(err => setIoMessage(t('lecture.loadFailed', { message: err.message })));
+  }, [startLecture, t, urlParams]);
+
+  // Delayed choice: the analyser setting is picked after the hits are already recorded
+  const resolvePendingTags = useCallback((erase) => {
+    setEraserOn(erase);
+    setTagView(erase ? 'plus' : 'H');
+    engine.resolvePendingTags(erase);
+    syncFromEngine();
+  }, [engine, syncFromEngine]);
+
+  syncStateRef.current = pickSyncState({
+    mode, observerOn, measurementStrength, eraserOn, delayedChoice, isRunning, speed, showDistribution, params, aperture, tagView,
+    preset,
+  });
+
+  const applySyncState = useCallback((state) => {
+    setMode(state.mode);
+    setObserverOn(state.observerOn);
+    setMeasurementStrength(state.measurementStrength);
+    setEraserOn(state.eraserOn);
+    setDelayedChoice(state.delayedChoice);
+    setIsRunning(state.isRunning);
+    setSpeed(state.speed);
+    setShowDistribution(state.showDistribution);
+    setParams(state.params);
+    setAperture(state.aperture);
+    setTagView(state.tagView);
+    setPreset(state.preset || 'custom');
+  }, [setMode, setObserverOn, setParams]);
+
+  // One session per role/room/relay; listeners read the latest state through refs
+  useEffect(() => {
+    if (classroom.role === 'off') return undefined;
+    let transport;
+    try {
+      transport = createTransport(classroom.relay, classroom.room);
+    } catch (err) {
+      // A malformed relay leaves the page as it was, outside any session
+      setIoMessage(translateRef.current('classroom.connectFailed', { message: err.message }));
+      setClassroom(current => ({ ...current, role: 'off' }));
+      return undefined;
+    }
+    const session = createClassroomSession(transport, classroom.role);
+    sessionRef.current = session;
+    if (session.role === 'presenter') {
+      sentHitsRef.current = { hits: null, count: 0, run: sentHitsRef.current.run };
+      session.on('hello', () => {
+        const sent = sentHitsRef.current;
+        session.send('state', { state: syncStateRef.current });
+        session.send('snapshot', { run: sent.run, hits: engine.hits.slice(0, sent.count) });
+      });
+      session.on('vote', ({ from, pollId, option }) => {
+        setPoll(current => (current && current.open && current.id === pollId
+          ? { ...current, votes: { ...current.votes, [from]: option } }
+          : current));
+      });
+    } else {
+      followedRunRef.current = null;
+      mirroringRef.current = true;
+      session.on('state', ({ state }) => {
+        // A demo this page does not offer is not mirrored, and neither are its hits
+        mirroringRef.current = offersMode(modesRef.current, state.mode);
+        if (mirroringRef.current) applySyncState(state);
+        else setIoMessage(translateRef.current('classroom.unsupportedMode', { mode: state.mode }));
+      });
+      session.on('snapshot', ({ run, hits }) => {
+        if (!mirroringRef.current) return;
+        followedRunRef.current = run;
+        engine.load(hits);
+        syncFromEngine();
+      });
+      session.on('hits', ({ run, offset, hits }) => {
+        if (!mirroringRef.current) return;
+        // A missed message or a new run: ask the presenter for a full snapshot
+        if (run !== followedRunRef.current || offset !== engine.hits.length) {
+          session.send('hello');
+          return;
+        }
+        reportHits(engine.append(hits));
+        publishHits();
+      });
+      session.on('poll', ({ id }) => setPoll({ id, open: true, vote: null, tally: null }));
+      session.on('pollClose', ({ id, tally }) => {
+        setPoll(current => (current && current.id === id ? { ...current, open: false, tally } : current));
+      });
+      session.send('hello');
+    }
+    return () => {
+      session.close();
+      sessionRef.current = null;
+    };
+  }, [classroom, engine, applySyncState, syncFromEngine, publishHits, reportHits]);
+
+  useEffect(() => {
+    if (presenting && sessionRef.current) sessionRef.current.send('state', { state: syncStateRef.current });
+  }, [
+    presenting, classroom, mode, observerOn, measurementStrength, eraserOn, delayedChoice,
+    isRunning, speed, showDistribution, params, aperture, tagView, preset,
+  ]);
+
+  // Stream new hits; a replaced hit array (reset, clear, import, re-tag) starts a new run
+  useEffect(() => {
+    const session = sessionRef.current;
+    if (!presenting || !session) return;
+    const sent = sentHitsRef.current;
+    if (hitLog.hits !== sent.hits || hitLog.count < sent.count) {
+      sentHitsRef.current = { hits: hitLog.hits, count: hitLog.count, run: sent.run + 1 };
+      session.send('snapshot', { run: sent.run + 1, hits: hitLog.hits.slice(0, hitLog.count) });
+    } else if (hitLog.count > sent.count) {
+      session.send('hits', { run: sent.run, offset: sent.count, hits: hitLog.hits.slice(sent.count, hitLog.count) });
+      sentHitsRef.current = { ...sent, count: hitLog.count };
+    }
+  }, [presenting, hitLog, classroom]);
+
+  const openPoll = () => {
+    const id = Date.now();
+    setPoll({ id, open: true, votes: {} });
+    sessionRef.current.send('poll', { id, options: PREDICTION_OPTIONS });
+  };
+
+  const closePoll = () => {
+    const tally = tallyVotes(Object.values(poll.votes));
+    setPoll({ ...poll, open: false });
+    sessionRef.current.send('pollClose', { id: poll.id, tally });
+  };
+
+  const castVote = (option) => {
+    setPoll({ ...poll, vote: option });
+    sessionRef.current.send('vote', { pollId: poll.id, option });
+  };
+
+  const showField = mode === 'light' && isRunning && waveView !== 'circles';
+  const waveField = useMemo(() => computeWaveField(params), [params]);
+
+  useEffect(() => {
+    if (!showField || !fieldCanvasRef.current) return;
+    drawWaveField(fieldCanvasRef.current, waveField, waveView, waveTime, palette.modes.light);
+  }, [showField, waveField, waveView, waveTime, palette]);
+
+  const exportRun = (format) => {
+    const run = serializeRun({ settings: engine.settings, seed: engine.seed, hits: engine.hits });
+    const name = `electron-wave-${run.mode}-${run.exportedAt.replace(/[:.]/g, '-')}`;
+    if (format === 'csv') downloadText(`${name}.csv`, runToCsv(run), 'text/csv');
+    else downloadText(`${name}.json`, runToJson(run), 'application/json');
+  };
+
+  // Restore a recorded run's settings and show its hits in the distribution panel
+  const loadRun = (run) => {
+    if (run.mode !== undefined && !offersMode(modes, run.mode)) {
+      throw new Error(t('io.unsupportedMode', { mode: run.mode }));
+    }
+    keepRun();
+    replayRef.current = null;
+    setReplay(null);
+    const runSeed = Number.isFinite(run.seed) ? run.seed : seed;
+    setIsRunning(false);
+    if (run.mode) setMode(run.mode);
+    setObserverOn(!!run.observerOn);
+    setMeasurementStrength(run.measurementStrength ?? 1);
+    setEraserOn(!!run.eraserOn);
+    setDelayedChoice(!!run.delayedChoice);
+    setSolverOn(!!run.solverOn);
+    setBohmian(!!run.bohmian);
+    if (run.params) {
+      const loaded = paramsForMode(run.mode ?? mode, clampParams({ ...DEFAULT_PARAMS, ...run.params }));
+      // The loaded hits belong to these parameters
+      hitsParamsRef.current = loaded;
+      setParams(loaded);
+      setAperture(apertureForSlitCount(loaded.slitCount));
+    }
+    setSeed(runSeed);
+    engine.reset(runSeed);
+    engine.load(run.hits);
+    syncFromEngine();
+    setTagView('all');
+    setShowDistribution(true);
+  };
+
+  // Load a JSON/CSV run from a file
+  const importRun = async (file) => {
+    try {
+      const run = parseRun(await file.text());
+      loadRun(run);
+      setIoMessage(t('io.loaded', { name: file.name, count: formatNumber(run.hits.length) }));
+    } catch (err) {
+      setIoMessage(t('io.loadFailed', { message: err.message }));
+    }
+  };
+
+  // Replay the current hits from the first one, in time order
+  const startReplay = () => {
+    if (engine.hits.length === 0) return;
+    let hits = sortByTime(engine.hits);
+    // Runs without a time line replay one hit per tick
+    if ((hits[hits.length - 1].t ?? 0) === 0) hits = hits.map((hit, i) => ({ ...hit, t: i }));
+    setIsRunning(false);
+    if (fastForwardRef.current) cancelAnimationFrame(fastForwardRef.current);
+    fastForwardRef.current = null;
+    finishFastForward();
+    setFastForwardLeft(0);
+    engine.load([]);
+    replayShownRef.current = 0;
+    syncFromEngine();
+    setShowDistribution(true);
+    setReplay({ hits, duration: hits[hits.length - 1].t, time: 0, playing: true });
+  };
+
+  const replayPreviousRun = () => {
+    loadRun(previousRun);
+    startReplay();
+  };
+
+  const seekReplay = (time) => {
+    setReplay(current => current && { ...current, time, playing: false });
+  };
+
+  const toggleReplay = () => {
+    setReplay(current => current && {
+      ...current,
+      // Playing from the end starts over
+      time: !current.playing && current.time >= current.duration ? 0 : current.time,
+      playing: !current.playing,
+    });
+  };
+
+  // Load the replayed hits up to the replay time: later hits are appended, going back reloads
+  useEffect(() => {
+    if (!replay) return;
+    const count = countAt(replay.hits, replay.time);
+    const shown = replayShownRef.current;
+    if (count === shown) return;
+    replayShownRef.current = count;
+    if (count > shown) {
+      engine.append(replay.hits.slice(shown, count));
+      publishHits();
+    } else {
+      engine.load(replay.hits.slice(0, count));
+      syncFromEngine();
+    }
+  }, [replay, engine, publishHits, syncFromEngine]);
+
+  const replayPlaying = !!replay && replay.playing;
+  useEffect(() => {
+    if (!replayPlaying) return undefined;
+    let frame = null;
+    let last = null;
+    const advance = (timestamp) => {
+      const ticks = last === null ? 0 : Math.min(MAX_REPLAY_STEP, (timestamp - last) * TICKS_PER_SECOND / 1000);
+      last = timestamp;
+      setReplay(current => {
+        if (!current) return current;
+        const time = Math.min(current.duration, current.time + ticks * replaySpeed);
+        return { ...current, time, playing: time < current.duration };
+      });
+      frame = requestAnimationFrame(advance);
+    };
+    frame = requestAnimationFrame(advance);
+    return () => cancelAnimationFrame(frame);
+  }, [replayPlaying, replaySpeed]);
+
+  // A new run (or a classroom session taking over the hits) ends the replay
+  useEffect(() => {
+    if (isRunning || following) closeReplay();
+  }, [isRunning, following, closeReplay]);
+
+  const loadLecture = async (file) => {
+    try {
+      startLecture(parseLectureScript(await file.text()));
+    } catch (err) {
+      setIoMessage(t('lecture.loadFailed', { message: err.message }));
+    }
+  };
+
+  // Experiment view (with its canvas overlays) and, if open, the histogram in one image
+  const buildSnapshot = () => {
+    const overlays = [];
+    if (solver && solverCanvasRef.current) {
+      overlays.push({
+        canvas: solverCanvasRef.current,
+        x: solver.xMin,
+        y: solver.yMin,
+        width: solverDisplayColumns(solver) * solver.dx,
+        height: solver.ny * solver.dy,
+      });
+    }
+    if (showField && fieldCanvasRef.current) {
+      overlays.push({
+        canvas: fieldCanvasRef.current,
+        x: waveField.x0,
+        y: BARRIER_TOP,
+        width: waveField.cols * FIELD_CELL,
+        height: waveField.rows * FIELD_CELL,
+      });
+    }
+    if (mode !== 'light' && plateCanvasRef.current) {
+      overlays.push({
+        canvas: plateCanvasRef.current,
+        x: SCREEN_X,
+        y: BARRIER_TOP,
+        width: PLATE_WIDTH,
+        height: BARRIER_BOTTOM - BARRIER_TOP,
+      });
+    }
+    const panels = [{ svg: experimentSvgRef.current, width: VIEW_WIDTH, height: VIEW_HEIGHT, background: '#080815', overlays }];
+    if (showDistribution && histogramSvgRef.current) {
+      panels.push({ svg: histogramSvgRef.current, width: HISTOGRAM_VIEW, height: HISTOGRAM_VIEW, background: '#0a0a18' });
+    }
+    return {
+      text: composeSnapshotSvg(panels),
+      width: panels.reduce((sum, panel) => sum + panel.width, 0),
+      height: VIEW_HEIGHT,
+    };
+  };
+
+  const exportSnapshot = (format) => {
+    const { text, width, height } = buildSnapshot();
+    const name = `electron-wave-${mode}-snapshot`;
+    if (format === 'svg') {
+      downloadText(`${name}.svg`, text, 'image/svg+xml');
+      return;
+    }
+    svgToPngBlob(text, width, height)
+      .then(blob => downloadBlob(`${name}.png`, blob))
+      .catch(err => setIoMessage(err.message));
+  };
 
   const modeInfo = {
-    light: { title: 'デモ1: 光（波）', color: '#ff4444', showObserver: false },
-    particle: { title: 'デモ2: ボール（粒子）', color: '#ffaa00', showObserver: false },
-    electron: { title: 'デモ3: 電子ビーム', color: '#00aaff', showObserver: true },
-    single: { title: 'デモ4: 単一電子', color: '#00ff88', showObserver: true },
+    light: { color: palette.modes.light, showObserver: false },
+    particle: { color: palette.modes.particle, showObserver: false },
+    electron: { color: palette.modes.electron, showObserver: true },
+    single: { color: palette.modes.single, showObserver: true },
+    eraser: { color: palette.modes.eraser, showObserver: false },
   };
+  const tagColors = palette.tags;
 
-  // Build histogram
-  const buildHistogram = () => {
-    const bins = {};
-    const binSize = 4;
-    screenHits.forEach(hit => {
-      const bin = Math.floor(hit.y / binSize) * binSize;
-      bins[bin] = (bins[bin] || 0) + 1;
+  const plateColor = modeInfo[mode].color;
+  const platePaletteRef = useRef(palette);
+  useEffect(() => {
+    const canvas = plateCanvasRef.current;
+    if (!canvas) return;
+    if (!plateRef.current) plateRef.current = createPlate();
+    const plate = plateRef.current;
+    const { hits, count } = hitLog;
+    if (platePaintedRef.current < 0 || platePaintedRef.current > count || platePaletteRef.current !== palette) {
+      platePaletteRef.current = palette;
+      plate.getContext('2d').clearRect(0, 0, plate.width, plate.height);
+      platePaintedRef.current = 0;
+    }
+    paintPlateHits(plate, hits, platePaintedRef.current, count, hit => (hit.tag ? palette.tags[hit.tag] : plateColor));
+    platePaintedRef.current = count;
+    if (canvas.width !== plate.width) canvas.width = plate.width;
+    if (canvas.height !== plate.height) canvas.height = plate.height;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(plate, 0, 0);
+  }, [hitLog, plateColor, palette]);
+
+  // Build-up snapshots of the run (the whole replayed run while replaying) at the
+  // SNAPSHOT_COUNTS it has reached, painted from one running exposure
+  const snapshotCanvasRefs = useRef([]);
+  const buildUpHits = replay ? replay.hits : hitLog.hits;
+  const snapshotCounts = SNAPSHOT_COUNTS.filter(count => count <= (replay ? replay.hits.length : hitLog.count));
+  const snapshotsReached = snapshotCounts.length;
+  useEffect(() => {
+    if (snapshotsReached === 0) return;
+    const colors = exposurePalette('#080815', plateColor, BUILD_UP_LEVELS);
+    const exposure = createExposure({ ...SNAPSHOT_SIZE, levels: BUILD_UP_LEVELS, zOf: plateZ });
+    SNAPSHOT_COUNTS.slice(0, snapshotsReached).forEach((count, i) => {
+      exposure.add(buildUpHits, count);
+      const canvas = snapshotCanvasRefs.current[i];
+      if (canvas) paintIndexed(canvas, exposure.pixels(), SNAPSHOT_SIZE.width, SNAPSHOT_SIZE.height, colors);
+    });
+  }, [buildUpHits, snapshotsReached, plateColor]);
+
+  // The build-up of the whole run as an animated GIF or as a ZIP of PNG frames
+  const exportBuildUp = async (format) => {
+    const hits = replay ? replay.hits : sortByTime(engine.hits);
+    if (hits.length === 0) return;
+    const colors = exposurePalette('#080815', plateColor, BUILD_UP_LEVELS);
+    const exposure = createExposure({ ...BUILD_UP_SIZE, levels: BUILD_UP_LEVELS, dot: 2, zOf: plateZ });
+    const frames = buildUpCounts(hits.length, BUILD_UP_FRAMES).map((count) => {
+      exposure.add(hits, count);
+      return { count, pixels: exposure.pixels() };
     });
-    const maxCount = Math.max(...Object.values(bins), 1);
-    return { bins, maxCount };
+    const name = `electron-wave-${mode}-buildup`;
+    try {
+      if (format === 'gif') {
+        const gif = encodeGif({
+          ...BUILD_UP_SIZE,
+          palette: colors,
+          // Hold the finished pattern before the animation loops
+          frames: frames.map(({ pixels }, i) => ({ pixels, delay: i === frames.length - 1 ? 200 : 10 })),
+        });
+        downloadBlob(`${name}.gif`, new Blob([gif], { type: 'image/gif' }));
+        return;
+      }
+      const canvas = document.createElement('canvas');
+      const files = [];
+      for (let i = 0; i < frames.length; i++) {
+        paintIndexed(canvas, frames[i].pixels, BUILD_UP_SIZE.width, BUILD_UP_SIZE.height, colors);
+        const blob = await new Promise((resolve, reject) => canvas.toBlob(
+          png => (png ? resolve(png) : reject(new Error('PNG encoding failed'))),
+          'image/png',
+        ));
+        files.push({
+          name: `${name}-${String(i + 1).padStart(3, '0')}-n${frames[i].count}.png`,
+          data: new Uint8Array(await blob.arrayBuffer()),
+        });
+      }
+      downloadBlob(`${name}-frames.zip`, new Blob([createZip(files)], { type: 'application/zip' }));
+    } catch (err) {
+      setIoMessage(err.message);
+    }
   };
 
-  const { bins, maxCount } = buildHistogram();
+  // Eraser hits can be viewed as a whole or as one coincidence subset
+  const histogramView = mode === 'eraser' ? tagView : 'all';
+  const pendingCount = useMemo(
+    () => (mode === 'eraser' ? hitLog.hits.filter(hit => hit.tag === null).length : 0),
+    [mode, hitLog]
+  );
+
+  // The engine bins every hit as it lands; only the 1 px counts are re-binned here
+  const histogram = useMemo(
+    () => histogramFromCounts(hitLog.binned(histogramView), HISTOGRAM_BIN),
+    [hitLog, histogramView]
+  );
+
+  // Bohmian trajectories and the packet solver follow one coherent wave, not the source's
+  // spread of points and wavelengths, so their hits are compared with its pattern
+  const followsOneWave = (bohmian || solverOn) && (mode === 'electron' || mode === 'single');
+  const theoryParams = useMemo(() => (followsOneWave ? coherentParams(params) : params), [followsOneWave, params]);
+
+  // Goodness of fit against the two textbook hypotheses
+  const hypotheses = useMemo(() => ({
+    interference: theoryDistribution(y => calculateInterference(y, theoryParams), SCREEN_Y_MIN, SCREEN_Y_MAX),
+    classical: theoryDistribution(y => calculateClassical(y, theoryParams), SCREEN_Y_MIN, SCREEN_Y_MAX),
+  }), [theoryParams]);
+  const fitStats = useMemo(() => Object.fromEntries(
+    Object.entries(hypotheses).map(([key, { cdf }]) => [key, {
+      chi: chiSquareTest(histogram, cdf),
+      ks: ksTestBinned(hitLog.binned(histogramView), cdf),
+    }])
+  ), [hypotheses, histogram, hitLog, histogramView]);
 
   // Generate theory patterns
   const generatePattern = (calcFunc, yMin = 60, yMax = 290, step = 3) => {
     const pattern = [];
     for (let y = yMin; y <= yMax; y += step) {
-      pattern.push({ y, intensity: calcFunc(y) });
+      pattern.push({ y, intensity: calcFunc(y, params) });
     }
     return pattern;
   };
 
   const interferencePattern = generatePattern(calculateInterference);
-  const classicalPattern = generatePattern(calculateClassical);
-  const isInterference = mode === 'light' || ((mode === 'electron' || mode === 'single') && !observerOn);
-  const currentTheoryPattern = (mode === 'particle' || observerOn) ? classicalPattern : interferencePattern;
+  const detectionStrength = getDetectionStrength(mode, observerOn, measurementStrength, params);
+  const theoryAt = mode === 'eraser'
+    ? (y, prm) => calculateEraserSubset(y, prm, tagView)
+    : (y, prm) => calculatePartial(y, prm, detectionStrength);
+  const isInterference = mode === 'eraser' ? (tagView === 'plus' || tagView === 'minus') : detectionStrength < 0.5;
+  const currentTheory = theoryDistribution(y => theoryAt(y, theoryParams), SCREEN_Y_MIN, SCREEN_Y_MAX);
+  const currentTheoryPattern = generatePattern(y => currentTheory.pdf(y));
+  // Histogram and theory share one density scale so the bars are directly comparable
+  const densityPeak = Math.max(
+    ...currentTheoryPattern.map(p => p.intensity),
+    ...histogram.bins.map(bin => bin.density + bin.error),
+    1e-9
+  );
+  const densityScale = 120 / densityPeak;
+
+  // Student prediction, compared by overlap with the outcome and with both textbook shapes
+  const predicted = useMemo(() => drawnDistribution(prediction, SCREEN_Y_MIN, SCREEN_Y_MAX), [prediction]);
+  const predictionScores = useMemo(() => {
+    if (!predicted || histogram.total === 0) return null;
+    const score = (pdf) => overlapScore(predicted.pdf, pdf, SCREEN_Y_MIN, SCREEN_Y_MAX);
+    return {
+      measured: score(histogramPdf(histogram)),
+      interference: score(hypotheses.interference.pdf),
+      classical: score(hypotheses.classical.pdf),
+    };
+  }, [predicted, histogram, hypotheses]);
+  const predictionPattern = predicted ? generatePattern(y => predicted.pdf(y), SCREEN_Y_MIN, SCREEN_Y_MAX, 1) : [];
+
+  // Pointer position in screen y and bar height, from client coordinates over the histogram
+  const histogramPointer = (e) => {
+    const svg = histogramSvgRef.current;
+    const point = svg.createSVGPoint();
+    point.x = e.clientX;
+    point.y = e.clientY;
+    const { x, y } = point.matrixTransform(svg.getScreenCTM().inverse());
+    return { y: fromPanelY(y), height: Math.max(0, x - HISTOGRAM_BAR_X) };
+  };
+
+  // Which shape the measured histogram fits better, once there are enough hits to tell
+  const patternType = (() => {
+    if (mode === 'light') return 'interference';
+    const { interference, classical } = fitStats;
+    if (histogram.total < 100 || !interference.chi || !classical.chi) return 'undetermined';
+    return interference.chi.chi2 <= classical.chi.chi2 ? 'interference' : 'classical';
+  })();
+  const theoryShapeName = t(isInterference ? 'fit.interference' : 'fit.classical');
+  const theoryLabel = t('distribution.theoryShape', { shape: theoryShapeName });
+  const observerText = modeInfo[mode].showObserver
+    ? t(observerOn ? 'a11y.observerOn' : 'a11y.observerOff')
+    : '';
+  const experimentDescription = mode === 'light'
+    ? t('a11y.experimentLight', { aperture: t(`aperture.${aperture}`) })
+    : t('a11y.experiment', {
+      aperture: t(`aperture.${aperture}`),
+      observer: observerText,
+      unit: t(`mode.${mode}.unit`),
+      count: formatNumber(hitLog.count),
+      pattern: t(`a11y.pattern.${patternType}`),
+    });
+  const histogramDescription = t('a11y.histogram', {
+    count: formatNumber(histogram.total),
+    theory: theoryLabel,
+    pattern: t(`a11y.pattern.${patternType}`),
+  });
+
+  // Live announcements at a few hit counts and whenever the mode, observer or pattern changes
+  const milestone = announcementMilestone(hitLog.count);
+  useEffect(() => {
+    const parts = [t('a11y.mode', { title: t(`mode.${mode}.title`) })];
+    if (observerText) parts.push(observerText);
+    if (mode !== 'light' && milestone > 0) {
+      parts.push(t('a11y.count', { unit: t(`mode.${mode}.unit`), count: formatNumber(milestone) }));
+    }
+    parts.push(t(`a11y.pattern.${patternType}`));
+    setAnnouncement(parts.join(' '));
+  }, [mode, observerText, milestone, patternType, t, formatNumber]);
+
+  const predictionHandlers = drawingPrediction ? {
+    onPointerDown: (e) => {
+      strokeRef.current = true;
+      e.currentTarget.setPointerCapture(e.pointerId);
+      setPrediction(points => [...points, histogramPointer(e)]);
+    },
+    onPointerMove: (e) => {
+      if (strokeRef.current) setPrediction(points => [...points, histogramPointer(e)]);
+    },
+    onPointerUp: () => { strokeRef.current = false; },
+    onPointerCancel: () => { strokeRef.current = false; },
+  } : {};
+  const theoryVisibility = fringeVisibility(y => theoryAt(y, theoryParams), theoryParams);
+  // From the running counts, which follow every hit; the engine's hit list grows in place
+  const hitVisibility = useMemo(
+    () => (mode !== 'light' ? measuredVisibility(hitLog.binned(histogramView), params) : null),
+    [mode, hitLog, histogramView, params]
+  );
+
+  const incidentCount = Math.ceil((slitX - 55) / params.wavelength);
+  // Transverse coherence width λD/s of the source at the slits; fringes fade once it drops below d
+  const coherenceWidth = (params.wavelength * (slitX - SOURCE_X)) / Math.max(params.sourceWidth, 1e-9);
+  const predictedSpacing = fringeSpacing(params);
+  const measuredSpacing = useMemo(
+    () => (mode !== 'light' && hitLog.count > 0 ? measuredFringeSpacing(hitLog.binned(histogramView), params) : null),
+    [mode, hitLog, histogramView, params]
+  );
+  // Screen lengths in the preset's units, or px
+  const formatScreenLength = (px) => (
+    unitScale ? formatSI(px * unitScale.screen, 'm', formatNumber) : `${formatNumber(px, 1)}px`
+  );
+  const presetModified = !!unitScale && Object.entries(presetParams(PRESETS[preset]))
+    .some(([key, value]) => params[key] !== value);
+  let sourceSummary = null;
+  if (unitScale) {
+    const { mass, quantity } = PARTICLES[unitScale.particle];
+    const wavelength = params.wavelength * unitScale.wavelength;
+    sourceSummary = t(`units.source.${quantity}`, {
+      particle: t(`units.particle.${unitScale.particle}`),
+      wavelength: formatSI(wavelength, 'm', formatNumber),
+      energy: quantity === 'energy' ? formatSI(energyForWavelength(mass, wavelength), 'eV', formatNumber) : '',
+      speed: quantity === 'speed' ? `${formatNumber(speedForWavelength(mass, wavelength), 0)} m/s` : '',
+    });
+  }
+  // Round lengths across the slits, along the beam and across the screen
+  const scaleBars = unitScale && {
+    aperture: scaleBar(unitScale.aperture, 40),
+    distance: scaleBar(unitScale.distance, 60),
+    screen: scaleBar(unitScale.screen, 40),
+  };
 
-  // Render concentric waves
+  // Barrier segments between the openings, top to bottom
+  const barrierSegments = [];
+  let segmentTop = BARRIER_TOP;
+  slitYs.forEach(slitY => {
+    barrierSegments.push([segmentTop, slitY - params.slitWidth / 2]);
+    segmentTop = slitY + params.slitWidth / 2;
+  });
+  barrierSegments.push([segmentTop, BARRIER_BOTTOM]);
+
+  // Pilot-wave traces, re-rendered only when a trajectory is added or the run is cleared
+  const traceColor = modeInfo[mode].color;
+  const traceLines = useMemo(() => traces.map(({ id, points }) => (
+    <polyline
+      key={id}
+      points={points.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ')}
+      fill="none"
+      stroke={traceColor}
+      strokeWidth="0.6"
+      opacity="0.35"
+    />
+  )), [traces, traceColor]);
+
+  // Render concentric waves, one crest per wavelength
   const renderWaves = () => {
     const waves = [];
-    for (let i = 0; i < 10; i++) {
-      const radius = ((waveTime * 35 + i * 28) % 250);
+    const crestCount = Math.ceil(250 / params.wavelength);
+    for (let i = 0; i < crestCount; i++) {
+      const radius = ((waveTime * 35 + i * params.wavelength) % (crestCount * params.wavelength));
       if (radius > 8) {
-        [SLIT_Y1, SLIT_Y2].forEach((slitY, idx) => {
+        slitYs.forEach((slitY, idx) => {
           waves.push(
             <circle
               key={`wave-${idx}-${i}`}
-              cx={SLIT_X + 5}
+              cx={slitX + 5}
               cy={slitY}
               r={radius}
               fill="none"
               stroke={modeInfo[mode].color}
-              strokeWidth="2.5"
+              strokeWidth={Math.min(2.5, params.wavelength / 4)}
               opacity={Math.max(0, 0.7 - radius / 300)}
-              clipPath="url(#rightClip)"
+              clipPath={`url(#${svgId}-right-clip)`}
             />
           );
         });
@@ -189,28 +1472,80 @@ export default function ElectronWaveSimulation() {
   };
 
   return (
-    <div style={{ 
-      fontFamily: 'Arial, sans-serif', 
-      maxWidth: 1000, 
-      margin: '0 auto', 
-      padding: 16,
-      background: 'linear-gradient(135deg, #1a1a2e 0%, #16213e 100%)',
-      minHeight: '100vh',
-      color: 'white'
-    }}>
+    <div
+      ref={rootRef}
+      className={className}
+      tabIndex={shortcuts === 'focus' ? -1 : undefined}
+      style={{
+        fontFamily: 'Arial, sans-serif',
+        maxWidth: 1000,
+        margin: '0 auto',
+        padding: 16,
+        background: 'linear-gradient(135deg, #1a1a2e 0%, #16213e 100%)',
+        minHeight: '100vh',
+        color: 'white',
+        outline: 'none',
+        ...style,
+      }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: 12, flexWrap: 'wrap' }}>
+        <label style={{ display: 'flex', alignItems: 'center', gap: 6, cursor: 'pointer' }}>
+          <input
+            type="checkbox"
+            checked={reducedMotion}
+            onChange={(e) => setReducedMotionChoice(e.target.checked)}
+            style={{ cursor: 'pointer' }}
+          />
+          <span style={{ color: '#888', fontSize: 12 }}>{t('a11y.reducedMotion')}</span>
+        </label>
+        {!theme && (
+        <label style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+          <span style={{ color: '#666', fontSize: 12 }}>{t('a11y.palette')}</span>
+          <select
+            value={paletteKey}
+            onChange={(e) => setPaletteKey(e.target.value)}
+            style={{ background: '#2a2a4a', color: '#ccc', border: '1px solid #444', borderRadius: 4, fontSize: 12 }}
+          >
+            {Object.keys(PALETTES).map(key => (
+              <option key={key} value={key}>{t(`a11y.palette.${key}`)}</option>
+            ))}
+          </select>
+        </label>
+        )}
+        {!localeProp && (
+        <label style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+          <span style={{ color: '#666', fontSize: 12 }}>{t('app.language')}:</span>
+          <select
+            value={locale}
+            onChange={(e) => {
+              setLocale(e.target.value);
+              if (urlParams) storeLocaleInQuery(e.target.value);
+            }}
+            style={{ background: '#2a2a4a', color: '#ccc', border: '1px solid #444', borderRadius: 4, fontSize: 12 }}
+          >
+            {availableLocales().map(({ code, name }) => (
+              <option key={code} value={code}>{name}</option>
+            ))}
+          </select>
+        </label>
+        )}
+      </div>
+      <div role="status" aria-live="polite" style={visuallyHidden}>{announcement}</div>
       <h1 style={{ textAlign: 'center', marginBottom: 6, fontSize: 26 }}>
-        電子の二重性シミュレーション
+        {t('app.title')}
       </h1>
       <p style={{ textAlign: 'center', color: '#777', marginBottom: 16, fontSize: 13 }}>
-        Interactive Lecture Demonstration
+        {t('app.subtitle')}
       </p>
 
       {/* Mode buttons */}
       <div style={{ display: 'flex', gap: 8, justifyContent: 'center', marginBottom: 12, flexWrap: 'wrap' }}>
-        {Object.entries(modeInfo).map(([key, info]) => (
+        {modes.map(key => [key, modeInfo[key]]).map(([key, info], index) => (
           <button
             key={key}
-            onClick={() => { reset(); setMode(key); setObserverOn(false); setShowDistribution(false); }}
+            onClick={() => selectMode(key)}
+            aria-pressed={mode === key}
+            aria-keyshortcuts={String(index + 1)}
             style={{
               padding: '8px 14px',
               border: mode === key ? `2px solid ${info.color}` : '2px solid #444',
@@ -222,11 +1557,107 @@ export default function ElectronWaveSimulation() {
               fontWeight: mode === key ? 'bold' : 'normal',
             }}
           >
-            {info.title}
+            {t(`mode.${key}.title`)}
           </button>
         ))}
       </div>
 
+      {/* Lecture script: current step, caption and question */}
+      {lecture && (
+        <div style={{
+          marginBottom: 12,
+          padding: '10px 14px',
+          background: '#ffffff0d',
+          borderRadius: 8,
+          border: '1px solid #555',
+        }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+            {lecture.title && (
+              <span style={{ color: '#ddd', fontWeight: 'bold', fontSize: 13 }}>{localizedText(lecture.title, locale)}</span>
+            )}
+            <span style={{ color: '#888', fontSize: 12 }}>
+              {t('lecture.step', { current: formatNumber(lectureStep + 1), total: formatNumber(lecture.steps.length) })}
+            </span>
+            <span style={{ flex: 1 }}/>
+            <span style={{ color: '#555', fontSize: 11 }}>{t('lecture.keys')}</span>
+            <button onClick={() => goToLectureStep(lectureStep - 1)} disabled={lectureStep === 0} style={exportButtonStyle}>
+              {t('lecture.previous')}
+            </button>
+            <button onClick={() => goToLectureStep(lectureStep + 1)} disabled={lectureStep === lecture.steps.length - 1} style={exportButtonStyle}>
+              {t('lecture.next')}
+            </button>
+            <button onClick={() => setLecture(null)} style={exportButtonStyle}>{t('lecture.exit')}</button>
+          </div>
+          {lecture.steps[lectureStep].caption && (
+            <p style={{ margin: '8px 0 0', color: '#eee', fontSize: 16, lineHeight: 1.5 }}>
+              {localizedText(lecture.steps[lectureStep].caption, locale)}
+            </p>
+          )}
+          {lecture.steps[lectureStep].question && (
+            <p style={{ margin: '8px 0 0', padding: '6px 10px', color: '#ffdd66', fontSize: 16, lineHeight: 1.5, background: '#ffdd6615', borderRadius: 6 }}>
+              ❓ {localizedText(lecture.steps[lectureStep].question, locale)}
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Prediction poll: voting on followers, live tally on the presenter */}
+      {poll && classroom.role !== 'off' && (
+        <div style={{
+          marginBottom: 12,
+          padding: '10px 14px',
+          background: '#ffdd6610',
+          borderRadius: 8,
+          border: '1px solid #886f22',
+        }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+            <span style={{ color: '#ffdd66', fontWeight: 'bold', fontSize: 14 }}>{t('poll.question')}</span>
+            <span style={{ flex: 1 }}/>
+            {presenting && (
+              <span style={{ color: '#888', fontSize: 12 }}>
+                {t('poll.responses', { count: formatNumber(Object.keys(poll.votes).length) })}
+              </span>
+            )}
+            {presenting && poll.open && (
+              <button onClick={closePoll} style={exportButtonStyle}>{t('poll.close')}</button>
+            )}
+          </div>
+          {following && poll.open && (
+            <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', marginTop: 8 }}>
+              {PREDICTION_OPTIONS.map(option => (
+                <button
+                  key={option}
+                  onClick={() => castVote(option)}
+                  style={{
+                    ...exportButtonStyle,
+                    fontSize: 14,
+                    color: poll.vote === option ? '#ffdd66' : '#bbb',
+                    border: poll.vote === option ? '1px solid #ffdd66' : '1px solid #444',
+                  }}
+                >
+                  {t(`poll.option.${option}`)}
+                </button>
+              ))}
+            </div>
+          )}
+          {(presenting || poll.tally) && (() => {
+            const counts = presenting ? tallyVotes(Object.values(poll.votes)) : poll.tally;
+            const most = Math.max(1, ...Object.values(counts));
+            return (
+              <div style={{ marginTop: 8 }}>
+                {PREDICTION_OPTIONS.map(option => (
+                  <div key={option} style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 12, marginTop: 2 }}>
+                    <span style={{ color: '#aaa', width: 140 }}>{t(`poll.option.${option}`)}</span>
+                    <div style={{ height: 10, width: `${(counts[option] / most) * 50}%`, background: '#ffdd66aa', borderRadius: 2 }}/>
+                    <span style={{ color: '#ddd' }}>{formatNumber(counts[option])}</span>
+                  </div>
+                ))}
+              </div>
+            );
+          })()}
+        </div>
+      )}
+
       {/* Observer toggle - simplified */}
       {modeInfo[mode].showObserver && (
         <div style={{
@@ -242,10 +1673,13 @@ export default function ElectronWaveSimulation() {
         }}>
           <span style={{ fontSize: 18 }}>🔬</span>
           <span style={{ color: '#ddd', fontWeight: 'bold', fontSize: 14 }}>
-            観測装置（どちらのスリットを通ったか検出）
+            {t('observer.label')}
           </span>
           <button
             onClick={() => { reset(); setObserverOn(!observerOn); }}
+            aria-pressed={observerOn}
+            aria-keyshortcuts="O"
+            aria-label={t('observer.label')}
             style={{
               padding: '6px 20px',
               border: 'none',
@@ -257,8 +1691,88 @@ export default function ElectronWaveSimulation() {
               fontSize: 13
             }}
           >
-            {observerOn ? 'ON' : 'OFF'}
+            {t(observerOn ? 'app.on' : 'app.off')}
           </button>
+          {observerOn && (
+            <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+              <span style={{ color: '#aaa', fontSize: 12 }}>{t('observer.efficiency')}</span>
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.05"
+                value={measurementStrength}
+                onChange={(e) => updateMeasurementStrength(parseFloat(e.target.value))}
+                style={{ width: 90 }}
+              />
+              <span style={{ color: '#ddd', fontSize: 12, width: 32 }}>{Math.round(measurementStrength * 100)}%</span>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Quantum eraser controls */}
+      {mode === 'eraser' && (
+        <div style={{
+          display: 'flex',
+          justifyContent: 'center',
+          alignItems: 'center',
+          flexWrap: 'wrap',
+          gap: 16,
+          marginBottom: 12,
+          padding: 10,
+          background: eraserOn ? '#cc66ff20' : '#33333340',
+          borderRadius: 8,
+          border: eraserOn ? '2px solid #cc66ff' : '2px solid #555'
+        }}>
+          <span style={{ color: '#ddd', fontWeight: 'bold', fontSize: 14 }}>
+            {t('eraser.tagging')}
+          </span>
+          <label style={{ display: 'flex', alignItems: 'center', gap: 6, cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              checked={delayedChoice}
+              onChange={(e) => { reset(); setDelayedChoice(e.target.checked); setTagView('all'); }}
+              style={{ cursor: 'pointer' }}
+            />
+            <span style={{ color: '#aaa', fontSize: 12 }}>{t('eraser.delayed')}</span>
+          </label>
+          {!delayedChoice ? (
+            <button
+              onClick={() => { reset(); setEraserOn(!eraserOn); setTagView('all'); }}
+              aria-pressed={eraserOn}
+              style={{
+                padding: '6px 16px',
+                border: 'none',
+                borderRadius: 5,
+                background: eraserOn ? '#cc66ff' : '#666',
+                color: '#fff',
+                cursor: 'pointer',
+                fontWeight: 'bold',
+                fontSize: 13
+              }}
+            >
+              {t('eraser.toggle', { state: t(eraserOn ? 'app.on' : 'app.off') })}
+            </button>
+          ) : (
+            <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+              <span style={{ color: '#aaa', fontSize: 12 }}>{t('eraser.pending', { count: formatNumber(pendingCount) })}</span>
+              <button
+                onClick={() => resolvePendingTags(true)}
+                disabled={pendingCount === 0}
+                style={{ padding: '5px 12px', border: 'none', borderRadius: 5, background: '#cc66ff', color: '#fff', cursor: 'pointer', fontSize: 12 }}
+              >
+                {t('eraser.erase')}
+              </button>
+              <button
+                onClick={() => resolvePendingTags(false)}
+                disabled={pendingCount === 0}
+                style={{ padding: '5px 12px', border: 'none', borderRadius: 5, background: '#666', color: '#fff', cursor: 'pointer', fontSize: 12 }}
+              >
+                {t('eraser.keep')}
+              </button>
+            </div>
+          )}
         </div>
       )}
 
@@ -272,14 +1786,24 @@ export default function ElectronWaveSimulation() {
           borderRadius: 10,
           border: '1px solid #333',
           overflow: 'hidden',
-          transition: 'flex 0.3s'
+          transition: reducedMotion ? 'none' : 'flex 0.3s',
+          position: 'relative'
         }}>
-          <svg width="100%" viewBox="0 0 380 350" style={{ display: 'block' }}>
+          <svg
+            ref={experimentSvgRef}
+            width="100%"
+            viewBox={`0 0 ${VIEW_WIDTH} ${VIEW_HEIGHT}`}
+            style={{ display: 'block' }}
+            role="img"
+            aria-labelledby={`${a11yId}-experiment-title ${a11yId}-experiment-desc`}
+          >
+            <title id={`${a11yId}-experiment-title`}>{t(`mode.${mode}.title`)}</title>
+            <desc id={`${a11yId}-experiment-desc`}>{experimentDescription}</desc>
             <defs>
-              <clipPath id="rightClip">
-                <rect x={SLIT_X + 5} y="0" width="400" height="400" />
+              <clipPath id={`${svgId}-right-clip`}>
+                <rect x={slitX + 5} y="0" width="400" height="400" />
               </clipPath>
-              <filter id="glow">
+              <filter id={`${svgId}-glow`}>
                 <feGaussianBlur stdDeviation="2.5" result="coloredBlur"/>
                 <feMerge><feMergeNode in="coloredBlur"/><feMergeNode in="SourceGraphic"/></feMerge>
               </filter>
@@ -288,72 +1812,165 @@ export default function ElectronWaveSimulation() {
             <rect width="380" height="350" fill="#080815"/>
 
             {/* Labels */}
-            <text x="40" y="22" fill="#555" fontSize="10">発射源</text>
-            <text x={SLIT_X - 5} y="22" fill="#555" fontSize="10">二重スリット</text>
-            <text x={SCREEN_X + 5} y="22" fill="#555" fontSize="10">スクリーン</text>
+            <text x="40" y="22" fill="#555" fontSize="10">{t('view.source')}</text>
+            <text x={slitX - 5} y="22" fill="#555" fontSize="10">{t(`aperture.${aperture}`)}</text>
+            <text x={SCREEN_X + 5} y="22" fill="#555" fontSize="10">{t('view.screen')}</text>
 
             {/* Source */}
             <rect x="15" y={CENTER_Y - 25} width="40" height="50" fill="#1a1a2a" rx="4" stroke="#333"/>
-            <circle cx="35" cy={CENTER_Y} r="10" fill={modeInfo[mode].color} filter="url(#glow)" opacity="0.7"/>
-            <circle cx="35" cy={CENTER_Y} r="4" fill="#fff"/>
+            <circle cx={SOURCE_X} cy={CENTER_Y} r="10" fill={modeInfo[mode].color} filter={`url(#${svgId}-glow)`} opacity="0.7"/>
+            <circle cx={SOURCE_X} cy={CENTER_Y} r="4" fill="#fff"/>
 
             {/* Incident waves for light */}
-            {mode === 'light' && isRunning && Array.from({ length: 6 }, (_, i) => {
-              const x = 55 + ((waveTime * 35 + i * 22) % 120);
+            {mode === 'light' && isRunning && Array.from({ length: incidentCount }, (_, i) => {
+              const x = 55 + ((waveTime * 35 + i * params.wavelength) % (incidentCount * params.wavelength));
+              if (x > slitX) return null;
               return <line key={`inc-${i}`} x1={x} y1={CENTER_Y - 50} x2={x} y2={CENTER_Y + 50} stroke={modeInfo[mode].color} strokeWidth="2" opacity="0.35"/>;
             })}
 
             {/* Slit barrier */}
-            <rect x={SLIT_X} y="35" width={SLIT_WIDTH} height={SLIT_Y1 - 35 - SLIT_WIDTH/2} fill="#3a4055" stroke="#4a5065"/>
-            <rect x={SLIT_X} y={SLIT_Y1 + SLIT_WIDTH/2} width={SLIT_WIDTH} height={SLIT_Y2 - SLIT_Y1 - SLIT_WIDTH} fill="#3a4055" stroke="#4a5065"/>
-            <rect x={SLIT_X} y={SLIT_Y2 + SLIT_WIDTH/2} width={SLIT_WIDTH} height={315 - SLIT_Y2 - SLIT_WIDTH/2} fill="#3a4055" stroke="#4a5065"/>
+            {barrierSegments.map(([top, bottom], i) => (
+              <rect key={`barrier-${i}`} x={slitX} y={top} width={BARRIER_THICKNESS} height={bottom - top} fill="#3a4055" stroke="#4a5065"/>
+            ))}
 
             {/* Slit openings */}
-            <rect x={SLIT_X} y={SLIT_Y1 - SLIT_WIDTH/2} width={SLIT_WIDTH} height={SLIT_WIDTH} fill="#0a0a15"/>
-            <rect x={SLIT_X} y={SLIT_Y2 - SLIT_WIDTH/2} width={SLIT_WIDTH} height={SLIT_WIDTH} fill="#0a0a15"/>
+            {slitYs.map((slitY, i) => (
+              <rect key={`slit-${i}`} x={slitX} y={slitY - params.slitWidth/2} width={BARRIER_THICKNESS} height={params.slitWidth} fill="#0a0a15"/>
+            ))}
 
             {/* Observer indicators */}
             {modeInfo[mode].showObserver && observerOn && (
               <g>
-                <circle cx={SLIT_X - 8} cy={SLIT_Y1} r="8" fill="#ff4444" opacity="0.4"/>
-                <circle cx={SLIT_X - 8} cy={SLIT_Y2} r="8" fill="#ff4444" opacity="0.4"/>
-                <text x={SLIT_X - 8} y={SLIT_Y1 + 4} fill="#ff4444" fontSize="10" textAnchor="middle">👁</text>
-                <text x={SLIT_X - 8} y={SLIT_Y2 + 4} fill="#ff4444" fontSize="10" textAnchor="middle">👁</text>
+                {slitYs.map((slitY, i) => (
+                  <g key={`eye-${i}`}>
+                    <circle cx={slitX - 8} cy={slitY} r={Math.min(8, params.slitSpacing / 2 - 1)} fill="#ff4444" opacity="0.4"/>
+                    <text x={slitX - 8} y={slitY + 4} fill="#ff4444" fontSize="10" textAnchor="middle">👁</text>
+                  </g>
+                ))}
+              </g>
+            )}
+
+            {/* Which-path polarizers and the ±45° eraser analyser */}
+            {mode === 'eraser' && (
+              <g>
+                {slitYs.map((slitY, i) => (
+                  <text key={`pol-${i}`} x={slitX - 10} y={slitY + 4} fill={tagColors[i === 0 ? 'H' : 'V']} fontSize="11" textAnchor="middle">
+                    {i === 0 ? '↔' : '↕'}
+                  </text>
+                ))}
+                {eraserOn && !delayedChoice && (
+                  <g>
+                    <line x1={SCREEN_X - 14} y1={BARRIER_TOP} x2={SCREEN_X - 14} y2={BARRIER_BOTTOM} stroke="#cc66ff" strokeWidth="2" strokeDasharray="4 3" opacity="0.6"/>
+                    <text x={SCREEN_X - 14} y={BARRIER_BOTTOM + 12} fill="#cc66ff" fontSize="9" textAnchor="middle">45°</text>
+                  </g>
+                )}
               </g>
             )}
 
             {/* Concentric waves for light mode */}
-            {mode === 'light' && isRunning && renderWaves()}
+            {mode === 'light' && isRunning && waveView === 'circles' && renderWaves()}
 
             {/* Screen */}
-            <rect x={SCREEN_X} y="35" width="10" height="280" fill="#1a1a2a" stroke="#333"/>
+            <rect x={SCREEN_X} y={BARRIER_TOP} width={PLATE_WIDTH} height={BARRIER_BOTTOM - BARRIER_TOP} fill="#1a1a2a" stroke="#333"/>
 
             {/* Light interference on screen */}
             {mode === 'light' && isRunning && interferencePattern.map((p, i) => (
-              <rect key={i} x={SCREEN_X} y={p.y - 1.5} width="10" height="3" fill={modeInfo[mode].color} opacity={p.intensity * 0.95}/>
+              <rect key={i} x={SCREEN_X} y={p.y - 1.5} width={PLATE_WIDTH} height="3" fill={modeInfo[mode].color} opacity={p.intensity * 0.95}/>
             ))}
 
-            {/* Particles */}
-            {mode !== 'light' && particles.map(p => (
+            {/* Bohmian trajectories of the latest electrons */}
+            {bohmian && mode !== 'light' && <g>{traceLines}</g>}
+
+            {/* Particles in flight; left out with reduced motion, where only the hits appear */}
+            {mode !== 'light' && !reducedMotion && particles.map(p => (
               <g key={p.id}>
                 <ellipse cx={p.x - 8} cy={p.y} rx="12" ry="3" fill={modeInfo[mode].color} opacity="0.15"/>
-                <circle cx={p.x} cy={p.y} r={mode === 'particle' ? 7 : 4} fill={modeInfo[mode].color} filter="url(#glow)"/>
-                {!p.observed && (mode === 'electron' || mode === 'single') && (
+                <circle cx={p.x} cy={p.y} r={mode === 'particle' ? 7 : 4} fill={modeInfo[mode].color} filter={`url(#${svgId}-glow)`}/>
+                {!p.detected && (mode === 'electron' || mode === 'single' || mode === 'eraser') && (
                   <circle cx={p.x} cy={p.y} r={8 + Math.sin(p.phase) * 4} fill="none" stroke={modeInfo[mode].color} strokeWidth="1.5" opacity="0.35"/>
                 )}
               </g>
             ))}
 
-            {/* Screen hits */}
-            {mode !== 'light' && screenHits.slice(-200).map((hit, i) => (
-              <circle key={i} cx={SCREEN_X + 5} cy={hit.y} r="2" fill={modeInfo[mode].color} opacity="0.7"/>
-            ))}
+            {/* Latest hits; the full record is on the detector plate canvas */}
+            {mode !== 'light' && Array.from({ length: Math.min(12, hitLog.count) }, (_, i) => hitLog.count - 1 - i).map(index => {
+              const hit = hitLog.hits[index];
+              return (
+                <circle key={index} cx={SCREEN_X + plateZ(hit, index) * PLATE_WIDTH} cy={hit.y} r="2" fill={hit.tag ? tagColors[hit.tag] : modeInfo[mode].color} opacity="0.7"/>
+              );
+            })}
+
+            {/* Scale bars, one per axis, as the view is not to scale */}
+            {scaleBars && (
+              <g fill="#8899aa" stroke="#8899aa" fontSize="8">
+                <line x1={slitX - 6} y1={BARRIER_BOTTOM} x2={slitX - 6} y2={BARRIER_BOTTOM - scaleBars.aperture.px} strokeWidth="1.5"/>
+                <text x={slitX - 9} y={BARRIER_BOTTOM - scaleBars.aperture.px / 2 + 3} textAnchor="end" stroke="none">
+                  {formatSI(scaleBars.aperture.length, 'm', formatNumber)}
+                </text>
+                <line x1={slitX + BARRIER_THICKNESS} y1={BARRIER_BOTTOM + 12} x2={slitX + BARRIER_THICKNESS + scaleBars.distance.px} y2={BARRIER_BOTTOM + 12} strokeWidth="1.5"/>
+                <text x={slitX + BARRIER_THICKNESS} y={BARRIER_BOTTOM + 24} stroke="none">
+                  {formatSI(scaleBars.distance.length, 'm', formatNumber)}
+                </text>
+                <line x1={SCREEN_X - 4} y1={BARRIER_BOTTOM} x2={SCREEN_X - 4} y2={BARRIER_BOTTOM - scaleBars.screen.px} strokeWidth="1.5"/>
+                <text x={SCREEN_X - 7} y={BARRIER_BOTTOM - scaleBars.screen.px / 2 + 3} textAnchor="end" stroke="none">
+                  {formatSI(scaleBars.screen.length, 'm', formatNumber)}
+                </text>
+              </g>
+            )}
 
             {/* Counter */}
             <text x="360" y="340" fill="#555" fontSize="11" textAnchor="end">
-              {mode === 'particle' ? 'ボール' : mode === 'light' ? '' : '電子'}{mode !== 'light' ? `: ${particleCount}` : ''}
+              {mode !== 'light' ? `${t(`mode.${mode}.unit`)}: ${formatNumber(hitLog.count)}` : ''}
             </text>
           </svg>
+
+          {/* Detector plate with every recorded hit */}
+          {mode !== 'light' && (
+            <canvas
+              ref={plateCanvasRef}
+              aria-hidden="true"
+              style={{
+                position: 'absolute',
+                left: `${(SCREEN_X / VIEW_WIDTH) * 100}%`,
+                top: `${(BARRIER_TOP / VIEW_HEIGHT) * 100}%`,
+                width: `${(PLATE_WIDTH / VIEW_WIDTH) * 100}%`,
+                height: `${((BARRIER_BOTTOM - BARRIER_TOP) / VIEW_HEIGHT) * 100}%`,
+                pointerEvents: 'none',
+              }}
+            />
+          )}
+
+          {/* Wave packet |ψ|², aligned to the solver grid */}
+          {solver && (
+            <canvas
+              ref={solverCanvasRef}
+              aria-hidden="true"
+              style={{
+                position: 'absolute',
+                left: `${(solver.xMin / VIEW_WIDTH) * 100}%`,
+                top: `${(solver.yMin / VIEW_HEIGHT) * 100}%`,
+                width: `${((solverDisplayColumns(solver) * solver.dx) / VIEW_WIDTH) * 100}%`,
+                height: `${((solver.ny * solver.dy) / VIEW_HEIGHT) * 100}%`,
+                pointerEvents: 'none',
+              }}
+            />
+          )}
+
+          {/* Wave field heatmap, aligned to the SVG region between barrier and screen */}
+          {showField && (
+            <canvas
+              ref={fieldCanvasRef}
+              aria-hidden="true"
+              style={{
+                position: 'absolute',
+                left: `${(waveField.x0 / VIEW_WIDTH) * 100}%`,
+                top: `${(BARRIER_TOP / VIEW_HEIGHT) * 100}%`,
+                width: `${((waveField.cols * FIELD_CELL) / VIEW_WIDTH) * 100}%`,
+                height: `${((waveField.rows * FIELD_CELL) / VIEW_HEIGHT) * 100}%`,
+                pointerEvents: 'none',
+              }}
+            />
+          )}
         </div>
 
         {/* Right: Distribution panel (hidden by default) */}
@@ -366,13 +1983,81 @@ export default function ElectronWaveSimulation() {
             padding: 12
           }}>
             <h3 style={{ margin: '0 0 8px 0', fontSize: 14, color: '#aaa', textAlign: 'center' }}>
-              スクリーン上の分布
+              {t('distribution.title')}
             </h3>
+            {mode === 'eraser' && (
+              <div style={{ display: 'flex', justifyContent: 'center', gap: 4, flexWrap: 'wrap', marginBottom: 6 }}>
+                {ERASER_SUBSETS.map(key => (
+                  <button
+                    key={key}
+                    onClick={() => setTagView(key)}
+                    aria-pressed={tagView === key}
+                    style={{
+                      padding: '2px 8px',
+                      border: tagView === key ? `1px solid ${tagColors[key] || '#aaa'}` : '1px solid #444',
+                      borderRadius: 4,
+                      background: tagView === key ? '#ffffff15' : 'transparent',
+                      color: tagColors[key] || '#aaa',
+                      cursor: 'pointer',
+                      fontSize: 11,
+                    }}
+                  >
+                    {t(`subset.${key}`)}
+                  </button>
+                ))}
+              </div>
+            )}
+            <div style={{ display: 'flex', justifyContent: 'center', gap: 6, marginBottom: 6 }}>
+              <button
+                onClick={() => setDrawingPrediction(!drawingPrediction)}
+                aria-pressed={drawingPrediction}
+                style={{ ...exportButtonStyle, color: drawingPrediction ? '#fff' : '#999', borderColor: drawingPrediction ? '#fff' : '#444' }}
+              >
+                {drawingPrediction ? t('prediction.drawing') : t('prediction.draw')}
+              </button>
+              {prediction.length > 0 && (
+                <button onClick={() => setPrediction([])} style={exportButtonStyle}>{t('prediction.clear')}</button>
+              )}
+            </div>
+            {predictionScores && (
+              <div style={{ textAlign: 'center', fontSize: 11, color: '#ddd', marginBottom: 6 }}>
+                {t('prediction.score', { measured: `${formatNumber(predictionScores.measured * 100, 0)}%` })}
+                <br/>
+                <span style={{ color: '#888' }}>
+                  {t('prediction.shapes', {
+                    interference: `${formatNumber(predictionScores.interference * 100, 0)}%`,
+                    classical: `${formatNumber(predictionScores.classical * 100, 0)}%`,
+                  })}
+                  {' '}
+                  {t(predictionScores.interference >= predictionScores.classical
+                    ? 'prediction.closerInterference'
+                    : 'prediction.closerClassical')}
+                </span>
+              </div>
+            )}
+            {theoryVisibility !== null && (
+              <div style={{ textAlign: 'center', fontSize: 11, color: '#888', marginBottom: 6 }}>
+                {t('distribution.visibility', {
+                  measured: hitVisibility !== null ? formatNumber(hitVisibility, 2) : '—',
+                  theory: formatNumber(theoryVisibility, 2),
+                })}
+              </div>
+            )}
 
-            <svg width="100%" viewBox="0 0 280 280" style={{ display: 'block' }}>
+            <svg
+              ref={histogramSvgRef}
+              width="100%"
+              viewBox={`0 0 ${HISTOGRAM_VIEW} ${HISTOGRAM_VIEW}`}
+              style={{ display: 'block', cursor: drawingPrediction ? 'crosshair' : 'default', touchAction: drawingPrediction ? 'none' : 'auto' }}
+              {...predictionHandlers}
+              role="img"
+              aria-labelledby={`${a11yId}-histogram-title ${a11yId}-histogram-desc`}
+            >
+              <title id={`${a11yId}-histogram-title`}>{t('distribution.title')}</title>
+              <desc id={`${a11yId}-histogram-desc`}>{histogramDescription}</desc>
               {/* Y-axis labels */}
-              <text x="8" y="20" fill="#444" fontSize="9">上</text>
-              <text x="8" y="270" fill="#444" fontSize="9">下</text>
+              <text x="8" y="20" fill="#444" fontSize="9">{t('distribution.top')}</text>
+              <text x="8" y="270" fill="#444" fontSize="9">{t('distribution.bottom')}</text>
 
               {/* Grid lines */}
               {[0, 1, 2, 3, 4].map(i => (
@@ -381,17 +2066,17 @@ export default function ElectronWaveSimulation() {
 
               {/* Theory pattern (background) */}
               <g>
-                <text x="200" y="35" fill="#555" fontSize="9">理論予測</text>
+                <text x="270" y="35" fill="#555" fontSize="9" textAnchor="end">{theoryLabel}</text>
                 {currentTheoryPattern.map((p, i) => {
-                  const barY = ((p.y - 60) / 230) * 220 + 45;
+                  const barY = toPanelY(p.y);
                   return (
                     <rect
                       key={i}
                       x="25"
                       y={barY - 1.5}
-                      width={p.intensity * 100}
+                      width={p.intensity * densityScale}
                       height="3"
-                      fill={isInterference ? '#00aaff' : '#ffaa00'}
+                      fill={isInterference ? palette.theory.interference : palette.theory.classical}
                       opacity="0.25"
                     />
                   );
@@ -401,21 +2086,31 @@ export default function ElectronWaveSimulation() {
               {/* Actual histogram */}
               {mode !== 'light' && (
                 <g>
-                  <text x="30" y="35" fill="#888" fontSize="9">実験結果</text>
-                  {Object.entries(bins).map(([y, count]) => {
-                    const barY = ((parseFloat(y) - 60) / 230) * 220 + 45;
-                    const barWidth = (count / maxCount) * 120;
+                  <text x="30" y="35" fill="#888" fontSize="9">{t('distribution.measured')}</text>
+                  {histogram.bins.filter(bin => bin.count > 0).map(bin => {
+                    const barY = toPanelY(bin.y + HISTOGRAM_BIN / 2);
                     return (
-                      <rect
-                        key={y}
-                        x="25"
-                        y={barY - 2}
-                        width={barWidth}
-                        height="4"
-                        fill={modeInfo[mode].color}
-                        opacity="0.9"
-                        rx="1"
-                      />
+                      <g key={bin.y}>
+                        <rect
+                          x="25"
+                          y={barY - 2}
+                          width={bin.density * densityScale}
+                          height="4"
+                          fill={(mode === 'eraser' && tagColors[tagView]) || modeInfo[mode].color}
+                          opacity="0.9"
+                          rx="1"
+                        />
+                        {/* ±√n counting error */}
+                        <line
+                          x1={25 + (bin.density - bin.error) * densityScale}
+                          x2={25 + (bin.density + bin.error) * densityScale}
+                          y1={barY}
+                          y2={barY}
+                          stroke="#ddd"
+                          strokeWidth="0.8"
+                          opacity="0.6"
+                        />
+                      </g>
                     );
                   })}
                 </g>
@@ -423,7 +2118,7 @@ export default function ElectronWaveSimulation() {
 
               {/* Light mode - show interference directly */}
               {mode === 'light' && isRunning && interferencePattern.map((p, i) => {
-                const barY = ((p.y - 60) / 230) * 220 + 45;
+                const barY = toPanelY(p.y);
                 return (
                   <rect
                     key={i}
@@ -437,13 +2132,72 @@ export default function ElectronWaveSimulation() {
                 );
               })}
 
+              {/* Student prediction, on the same density scale */}
+              {predictionPattern.length > 0 && (
+                <polyline
+                  points={predictionPattern.map(p => (
+                    `${Math.min(HISTOGRAM_VIEW - 10, HISTOGRAM_BAR_X + p.intensity * densityScale)},${toPanelY(p.y)}`
+                  )).join(' ')}
+                  fill="none"
+                  stroke="#ffffff"
+                  strokeWidth="1.5"
+                  strokeDasharray="4 2"
+                  opacity="0.85"
+                />
+              )}
+
               {/* Slit position indicators */}
-              <line x1="20" y1={((SLIT_Y1 - 60) / 230) * 220 + 45} x2="25" y2={((SLIT_Y1 - 60) / 230) * 220 + 45} stroke="#666" strokeWidth="2"/>
-              <line x1="20" y1={((SLIT_Y2 - 60) / 230) * 220 + 45} x2="25" y2={((SLIT_Y2 - 60) / 230) * 220 + 45} stroke="#666" strokeWidth="2"/>
-              <text x="12" y={((SLIT_Y1 - 60) / 230) * 220 + 48} fill="#666" fontSize="8">S1</text>
-              <text x="12" y={((SLIT_Y2 - 60) / 230) * 220 + 48} fill="#666" fontSize="8">S2</text>
+              {slitYs.map((slitY, i) => (
+                <g key={`slit-marker-${i}`}>
+                  <line x1="20" y1={toPanelY(slitY)} x2="25" y2={toPanelY(slitY)} stroke="#666" strokeWidth="2"/>
+                  {slitYs.length <= 3 && (
+                    <text x="12" y={toPanelY(slitY) + 3} fill="#666" fontSize="8">S{i + 1}</text>
+                  )}
+                </g>
+              ))}
             </svg>
 
+            {/* Goodness of fit */}
+            {mode !== 'light' && histogram.total > 0 && (
+              <div style={{ marginTop: 8, fontSize: 11, color: '#888' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse', textAlign: 'center' }}>
+                  <thead>
+                    <tr style={{ color: '#666' }}>
+                      <th style={{ fontWeight: 'normal' }}>{t('fit.hypothesis')}</th>
+                      <th style={{ fontWeight: 'normal' }}>{t('fit.chiPerDof')}</th>
+                      <th style={{ fontWeight: 'normal' }}>p</th>
+                      <th style={{ fontWeight: 'normal' }}>KS D</th>
+                      <th style={{ fontWeight: 'normal' }}>p</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[['interference', palette.theory.interference], ['classical', palette.theory.classical]].map(([key, color]) => {
+                      const { chi, ks } = fitStats[key];
+                      return (
+                        <tr key={key}>
+                          <td style={{ color }}>{t(`fit.${key}`)}</td>
+                          <td>{chi ? `${formatNumber(chi.chi2, 1)}/${formatNumber(chi.dof)}` : '—'}</td>
+                          <td>{chi ? formatPValue(chi.pValue, formatNumber) : '—'}</td>
+                          <td>{ks ? formatNumber(ks.d, 3) : '—'}</td>
+                          <td>{ks ? formatPValue(ks.pValue, formatNumber) : '—'}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+                <div style={{ textAlign: 'center', marginTop: 4 }}>
+                  N = {formatNumber(histogram.total)}
+                  {fitStats.interference.chi && fitStats.classical.chi && (
+                    <span style={{ color: '#aaa', marginLeft: 12 }}>
+                      {t('fit.deltaChi2', {
+                        value: formatNumber(fitStats.classical.chi.chi2 - fitStats.interference.chi.chi2, 1),
+                      })}
+                    </span>
+                  )}
+                </div>
+              </div>
+            )}
+
             {/* Legend */}
             <div style={{ 
               display: 'flex', 
@@ -455,13 +2209,49 @@ export default function ElectronWaveSimulation() {
             }}>
               <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
                 <div style={{ width: 24, height: 4, background: modeInfo[mode].color, borderRadius: 2 }}/>
-                <span style={{ color: '#888', fontSize: 11 }}>実験</span>
+                <span style={{ color: '#888', fontSize: 11 }}>{t('legend.measured')}</span>
               </div>
               <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
-                <div style={{ width: 24, height: 4, background: isInterference ? '#00aaff44' : '#ffaa0044', borderRadius: 2 }}/>
-                <span style={{ color: '#666', fontSize: 11 }}>理論</span>
+                <div style={{ width: 24, height: 4, background: `${isInterference ? palette.theory.interference : palette.theory.classical}44`, borderRadius: 2 }}/>
+                <span style={{ color: '#666', fontSize: 11 }}>{t('legend.theoryShape', { shape: theoryShapeName })}</span>
               </div>
+              {predicted && (
+                <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                  <div style={{ width: 24, height: 0, borderTop: '2px dashed #fff' }}/>
+                  <span style={{ color: '#888', fontSize: 11 }}>{t('legend.prediction')}</span>
+                </div>
+              )}
             </div>
+
+            {/* The histogram as numbers, for screen readers and for copying */}
+            {mode !== 'light' && (
+              <details style={{ marginTop: 6, fontSize: 11, color: '#888' }}>
+                <summary style={{ cursor: 'pointer' }}>{t('a11y.dataTable')}</summary>
+                <table style={{ width: '100%', borderCollapse: 'collapse', textAlign: 'right', marginTop: 4 }}>
+                  <caption style={visuallyHidden}>{histogramDescription}</caption>
+                  <thead>
+                    <tr style={{ color: '#666' }}>
+                      <th scope="col" style={{ fontWeight: 'normal' }}>{t('a11y.table.position')}</th>
+                      <th scope="col" style={{ fontWeight: 'normal' }}>{t('a11y.table.count')}</th>
+                      <th scope="col" style={{ fontWeight: 'normal' }}>{t('a11y.table.density')}</th>
+                      <th scope="col" style={{ fontWeight: 'normal' }}>{t('a11y.table.theory')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {histogram.bins.map(bin => (
+                      <tr key={bin.y}>
+                        <th scope="row" style={{ fontWeight: 'normal' }}>
+                          {formatNumber(bin.y)}–{formatNumber(bin.y + histogram.binSize)}
+                        </th>
+                        <td>{formatNumber(bin.count)}</td>
+                        <td>{formatNumber(bin.density * 1000, 2)}</td>
+                        <td>{formatNumber(currentTheory.pdf(bin.y + histogram.binSize / 2) * 1000, 2)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </details>
+            )}
           </div>
         )}
       </div>
@@ -470,6 +2260,7 @@ export default function ElectronWaveSimulation() {
       <div style={{ display: 'flex', gap: 12, justifyContent: 'center', alignItems: 'center', flexWrap: 'wrap' }}>
         <button
           onClick={() => setIsRunning(!isRunning)}
+          aria-keyshortcuts="Space"
           style={{
             padding: '10px 26px',
             fontSize: 14,
@@ -481,10 +2272,11 @@ export default function ElectronWaveSimulation() {
             fontWeight: 'bold'
           }}
         >
-          {isRunning ? '⏸ 停止' : '▶ 開始'}
+          {isRunning ? t('controls.stop') : t('controls.start')}
         </button>
         <button
-          onClick={reset}
+          onClick={() => reset()}
+          aria-keyshortcuts="R"
           style={{
             padding: '10px 18px',
             fontSize: 14,
@@ -495,13 +2287,44 @@ export default function ElectronWaveSimulation() {
             cursor: 'pointer'
           }}
         >
-          🔄 リセット
+          {t('controls.reset')}
         </button>
         <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
-          <span style={{ color: '#666', fontSize: 12 }}>速度:</span>
+          <span style={{ color: '#666', fontSize: 12 }}>{t('controls.seed')}</span>
+          <input
+            type="number"
+            value={seed}
+            onChange={(e) => {
+              const next = parseInt(e.target.value, 10) || 0;
+              setSeed(next);
+              reset(next);
+            }}
+            style={{ width: 90, background: '#2a2a4a', color: '#ccc', border: '1px solid #444', borderRadius: 4, fontSize: 12 }}
+          />
+        </div>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+          <span style={{ color: '#666', fontSize: 12 }}>{t('controls.speed')}</span>
           <input type="range" min="0.5" max="3" step="0.5" value={speed} onChange={(e) => setSpeed(parseFloat(e.target.value))} style={{ width: 70 }}/>
-          <span style={{ color: '#999', fontSize: 12, width: 28 }}>{speed}x</span>
+          <span style={{ color: '#999', fontSize: 12, width: 28 }}>{formatNumber(speed)}x</span>
         </div>
+        {mode !== 'light' && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+            <input
+              type="number"
+              min="1"
+              max={FAST_FORWARD_MAX}
+              step="100"
+              value={fastForwardCount}
+              onChange={(e) => setFastForwardCount(Math.min(FAST_FORWARD_MAX, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+              style={{ width: 70, background: '#2a2a4a', color: '#ccc', border: '1px solid #444', borderRadius: 4, fontSize: 12 }}
+            />
+            <button onClick={() => fastForward(fastForwardCount)} disabled={fastForwardLeft > 0} style={exportButtonStyle}>
+              {fastForwardLeft > 0
+                ? t('controls.fastForwardLeft', { count: formatNumber(fastForwardLeft) })
+                : t('controls.fastForward', { count: formatNumber(fastForwardCount) })}
+            </button>
+          </div>
+        )}
         
         {/* Distribution toggle checkbox */}
         <label style={{ 
@@ -518,11 +2341,331 @@ export default function ElectronWaveSimulation() {
             type="checkbox" 
             checked={showDistribution} 
             onChange={(e) => setShowDistribution(e.target.checked)}
+            aria-keyshortcuts="D"
             style={{ cursor: 'pointer' }}
           />
-          <span style={{ color: '#aaa', fontSize: 12 }}>分布グラフを表示</span>
+          <span style={{ color: '#aaa', fontSize: 12 }}>{t('controls.showDistribution')}</span>
+        </label>
+      </div>
+      {shortcuts !== 'off' && (
+        <p style={{ textAlign: 'center', color: '#555', fontSize: 11, margin: '6px 0 0' }}>{t('a11y.shortcuts', { keys: modes.length > 1 ? `1–${modes.length}` : '1' })}</p>
+      )}
+
+      {/* Aperture selection */}
+      <div style={{ display: 'flex', gap: 8, justifyContent: 'center', alignItems: 'center', flexWrap: 'wrap', marginTop: 12 }}>
+        {mode !== 'eraser' && Object.keys(APERTURES).map(key => (
+          <button
+            key={key}
+            onClick={() => selectAperture(key)}
+            aria-pressed={aperture === key}
+            style={{
+              padding: '5px 12px',
+              border: aperture === key ? '1px solid #aaa' : '1px solid #444',
+              borderRadius: 4,
+              background: aperture === key ? '#ffffff15' : 'transparent',
+              color: aperture === key ? '#ddd' : '#777',
+              cursor: 'pointer',
+              fontSize: 12,
+            }}
+          >
+            {t(`aperture.${key}`)}
+          </button>
+        ))}
+        {mode === 'light' && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: 6, marginLeft: 12 }}>
+            <span style={{ color: '#666', fontSize: 12 }}>{t('controls.waveView')}</span>
+            <select
+              value={waveView}
+              onChange={(e) => setWaveView(e.target.value)}
+              style={{ background: '#2a2a4a', color: '#ccc', border: '1px solid #444', borderRadius: 4, fontSize: 12 }}
+            >
+              {WAVE_VIEWS.map(key => (
+                <option key={key} value={key}>{t(`waveView.${key}`)}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        {(mode === 'electron' || mode === 'single') && (
+          <label style={{ display: 'flex', alignItems: 'center', gap: 6, cursor: 'pointer', marginLeft: 12 }}>
+            <input
+              type="checkbox"
+              checked={solverOn}
+              onChange={(e) => {
+                reset();
+                setSolverOn(e.target.checked);
+                if (e.target.checked) setBohmian(false);
+              }}
+              style={{ cursor: 'pointer' }}
+            />
+            <span style={{ color: '#aaa', fontSize: 12 }}>{t('controls.solver')}</span>
+          </label>
+        )}
+        {(mode === 'electron' || mode === 'single' || mode === 'eraser') && (
+          <label title={t('controls.bohmianHint')} style={{ display: 'flex', alignItems: 'center', gap: 6, cursor: 'pointer', marginLeft: 12 }}>
+            <input
+              type="checkbox"
+              checked={bohmian}
+              onChange={(e) => {
+                reset();
+                setBohmian(e.target.checked);
+                if (e.target.checked) setSolverOn(false);
+              }}
+              style={{ cursor: 'pointer' }}
+            />
+            <span style={{ color: '#aaa', fontSize: 12 }}>{t('controls.bohmian')}</span>
+          </label>
+        )}
+        {aperture === 'grating' && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+            <span style={{ color: '#666', fontSize: 12 }}>{t('controls.slitCount')}</span>
+            <input
+              type="range"
+              min={PARAM_RANGES.slitCount.min}
+              max={PARAM_RANGES.slitCount.max}
+              step={PARAM_RANGES.slitCount.step}
+              value={params.slitCount}
+              onChange={(e) => updateParam('slitCount', parseInt(e.target.value, 10))}
+              style={{ width: 70 }}
+            />
+            <span style={{ color: '#999', fontSize: 12, width: 20 }}>{params.slitCount}</span>
+          </div>
+        )}
+      </div>
+
+      {/* Historical setups and the units they give the geometry */}
+      <div style={{ display: 'flex', gap: 12, justifyContent: 'center', alignItems: 'center', flexWrap: 'wrap', marginTop: 12 }}>
+        <label style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+          <span style={{ color: '#666', fontSize: 12 }}>{t('units.preset')}</span>
+          <select
+            value={preset}
+            onChange={(e) => selectPreset(e.target.value)}
+            style={{ background: '#2a2a4a', color: '#ccc', border: '1px solid #444', borderRadius: 4, fontSize: 12 }}
+          >
+            {['custom', ...PRESET_KEYS].map(key => (
+              <option key={key} value={key}>{t(`units.preset.${key}`)}</option>
+            ))}
+          </select>
         </label>
+        {presetModified && <span style={{ color: '#aa8844', fontSize: 12 }}>{t('units.modified')}</span>}
+        {sourceSummary && <span style={{ color: '#888', fontSize: 12 }}>{sourceSummary}</span>}
+        {unitScale && <span style={{ color: '#666', fontSize: 11 }}>{t('units.notToScale')}</span>}
+      </div>
+
+      {/* Experiment parameters */}
+      <div style={{ display: 'flex', gap: 16, justifyContent: 'center', alignItems: 'center', flexWrap: 'wrap', marginTop: 8 }}>
+        {['wavelength', 'slitSpacing', 'slitWidth', 'screenDistance']
+          .filter(key => key !== 'slitSpacing' || params.slitCount > 1).map(key => (
+          <div key={key} style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+            <span style={{ color: '#666', fontSize: 12 }}>{t(`param.${key}`)}:</span>
+            <input
+              type="range"
+              min={PARAM_RANGES[key].min}
+              max={PARAM_RANGES[key].max}
+              step={PARAM_RANGES[key].step}
+              value={params[key]}
+              onChange={(e) => updateParam(key, parseFloat(e.target.value))}
+              style={{ width: 70 }}
+            />
+            <span style={{ color: '#999', fontSize: 12, width: unitScale ? 60 : 44 }}>
+              {unitScale ? formatSI(params[key] * unitScale[PARAM_AXES[key]], 'm', formatNumber) : `${formatNumber(params[key])}px`}
+            </span>
+          </div>
+        ))}
+        <span style={{ color: '#888', fontSize: 12 }}>
+          {t(params.slitCount > 1 ? 'param.fringeSpacing' : 'param.peakHalfWidth', { value: formatScreenLength(predictedSpacing) })}
+          {measuredSpacing !== null && ` ${t('param.fringeSpacingMeasured', { value: formatScreenLength(measuredSpacing) })}`}
+        </span>
+      </div>
+
+      {/* Source coherence and environmental decoherence, which the eraser's tagged theory leaves out */}
+      {mode !== 'eraser' && (
+        <div style={{ display: 'flex', gap: 16, justifyContent: 'center', alignItems: 'center', flexWrap: 'wrap', marginTop: 8 }}>
+          <span style={{ color: '#666', fontSize: 12 }}>{t('param.coherence')}</span>
+          {COHERENCE_PARAMS.map(({ key, format }) => {
+            const ignored = followsOneWave && key !== 'decoherenceRate';
+            return (
+              <div key={key} title={ignored ? t('param.coherenceOneWave') : undefined} style={{ display: 'flex', alignItems: 'center', gap: 6, opacity: ignored ? 0.5 : 1 }}>
+                <span style={{ color: '#666', fontSize: 12 }}>{t(`param.${key}`)}:</span>
+                <input
+                  type="range"
+                  min={PARAM_RANGES[key].min}
+                  max={PARAM_RANGES[key].max}
+                  step={PARAM_RANGES[key].step}
+                  value={params[key]}
+                  disabled={ignored}
+                  onChange={(e) => updateParam(key, parseFloat(e.target.value))}
+                  style={{ width: 70 }}
+                />
+                <span style={{ color: '#999', fontSize: 12, width: 52 }}>{format(params[key], formatNumber)}</span>
+              </div>
+            );
+          })}
+          {theoryParams.sourceWidth > 0 && params.slitCount > 1 && (
+            <span style={{ color: '#888', fontSize: 12 }}>
+              {t('param.coherenceWidth', { value: formatNumber(coherenceWidth, 0), spacing: formatNumber(params.slitSpacing) })}
+            </span>
+          )}
+          {params.decoherenceRate > 0 && mode !== 'light' && (
+            <span style={{ color: '#888', fontSize: 12 }}>
+              {t('param.pathLeak', { value: formatNumber(decoherenceProbability(params) * 100, 0) })}
+            </span>
+          )}
+        </div>
+      )}
+
+      {/* Run export / import and snapshots */}
+      <div style={{ display: 'flex', gap: 8, justifyContent: 'center', alignItems: 'center', flexWrap: 'wrap', marginTop: 12 }}>
+        <span style={{ color: '#666', fontSize: 12 }}>{t('io.record')}</span>
+        <button onClick={() => exportRun('json')} style={exportButtonStyle}>JSON</button>
+        <button onClick={() => exportRun('csv')} style={exportButtonStyle}>CSV</button>
+        <button onClick={() => importInputRef.current && importInputRef.current.click()} style={exportButtonStyle}>{t('io.import')}</button>
+        <input
+          ref={importInputRef}
+          type="file"
+          accept=".json,.csv,application/json,text/csv"
+          style={{ display: 'none' }}
+          onChange={(e) => {
+            if (e.target.files[0]) importRun(e.target.files[0]);
+            e.target.value = '';
+          }}
+        />
+        <span style={{ color: '#666', fontSize: 12, marginLeft: 12 }}>{t('io.image')}</span>
+        <button onClick={() => exportSnapshot('png')} style={exportButtonStyle}>PNG</button>
+        <button onClick={() => exportSnapshot('svg')} style={exportButtonStyle}>SVG</button>
+        <span style={{ color: '#666', fontSize: 12, marginLeft: 12 }}>{t('lecture.label')}</span>
+        <button onClick={() => lectureInputRef.current && lectureInputRef.current.click()} style={exportButtonStyle}>
+          {t('lecture.load')}
+        </button>
+        <input
+          ref={lectureInputRef}
+          type="file"
+          accept=".json,application/json"
+          style={{ display: 'none' }}
+          onChange={(e) => {
+            if (e.target.files[0]) loadLecture(e.target.files[0]);
+            e.target.value = '';
+          }}
+        />
+        {ioMessage && <span style={{ color: '#888', fontSize: 11 }}>{ioMessage}</span>}
+      </div>
+
+      {/* Time-lapse: replay, build-up snapshots and animation export */}
+      {mode !== 'light' && (
+        <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 8, marginTop: 12 }}>
+          <div style={{ display: 'flex', gap: 8, justifyContent: 'center', alignItems: 'center', flexWrap: 'wrap' }}>
+            <span style={{ color: '#666', fontSize: 12 }}>{t('timelapse.title')}</span>
+            {!following && !replay && (
+              <button onClick={startReplay} disabled={hitLog.count === 0} style={exportButtonStyle}>
+                {t('timelapse.replayCurrent')}
+              </button>
+            )}
+            {!following && previousRun && (
+              <button onClick={replayPreviousRun} style={exportButtonStyle}>
+                {t('timelapse.replayPrevious', { count: formatNumber(previousRun.hits.length) })}
+              </button>
+            )}
+            {replay && (
+              <>
+                <button onClick={toggleReplay} style={exportButtonStyle}>
+                  {replay.playing ? t('timelapse.pause') : t('timelapse.play')}
+                </button>
+                <input
+                  type="range"
+                  min={0}
+                  max={replay.duration}
+                  step="any"
+                  value={replay.time}
+                  onChange={(e) => seekReplay(parseFloat(e.target.value))}
+                  aria-label={t('timelapse.scrubber')}
+                  style={{ width: 200 }}
+                />
+                <span style={{ color: '#999', fontSize: 12, minWidth: 150 }}>
+                  {t('timelapse.position', {
+                    count: formatNumber(hitLog.count),
+                    total: formatNumber(replay.hits.length),
+                    time: formatNumber(replay.time / TICKS_PER_SECOND, 1),
+                  })}
+                </span>
+                <span style={{ color: '#666', fontSize: 12 }}>{t('timelapse.speed')}</span>
+                <select
+                  value={replaySpeed}
+                  onChange={(e) => setReplaySpeed(parseInt(e.target.value, 10))}
+                  style={{ background: '#2a2a4a', color: '#ccc', border: '1px solid #444', borderRadius: 4, fontSize: 12 }}
+                >
+                  {REPLAY_SPEEDS.map(value => (
+                    <option key={value} value={value}>{`${formatNumber(value)}×`}</option>
+                  ))}
+                </select>
+                <button onClick={closeReplay} style={exportButtonStyle}>{t('timelapse.close')}</button>
+              </>
+            )}
+            <span style={{ color: '#666', fontSize: 12, marginLeft: 12 }}>{t('timelapse.export')}</span>
+            <button onClick={() => exportBuildUp('gif')} disabled={hitLog.count === 0 && !replay} style={exportButtonStyle}>
+              {t('timelapse.exportGif')}
+            </button>
+            <button onClick={() => exportBuildUp('frames')} disabled={hitLog.count === 0 && !replay} style={exportButtonStyle}>
+              {t('timelapse.exportFrames')}
+            </button>
+          </div>
+          {snapshotsReached > 0 && (
+            <figure style={{ margin: 0, display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 4 }}>
+              <div style={{ display: 'flex', gap: 8 }}>
+                {snapshotCounts.map((count, i) => (
+                  <div key={count} style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 2 }}>
+                    <canvas
+                      ref={(canvas) => { snapshotCanvasRefs.current[i] = canvas; }}
+                      width={SNAPSHOT_SIZE.width}
+                      height={SNAPSHOT_SIZE.height}
+                      role="img"
+                      aria-label={t('timelapse.snapshot', { count: formatNumber(count) })}
+                      style={{ border: '1px solid #333', borderRadius: 2 }}
+                    />
+                    <span style={{ color: '#999', fontSize: 11 }}>{t('timelapse.snapshot', { count: formatNumber(count) })}</span>
+                  </div>
+                ))}
+              </div>
+              <figcaption style={{ color: '#666', fontSize: 11 }}>{t('timelapse.snapshots')}</figcaption>
+            </figure>
+          )}
+        </div>
+      )}
+
+      {/* Classroom sync */}
+      <div style={{ display: 'flex', gap: 8, justifyContent: 'center', alignItems: 'center', flexWrap: 'wrap', marginTop: 12 }}>
+        <span style={{ color: '#666', fontSize: 12 }}>{t('classroom.label')}</span>
+        <select
+          value={classroom.role}
+          onChange={(e) => {
+            setPoll(null);
+            setClassroom({ ...classroom, role: e.target.value });
+          }}
+          style={{ background: '#2a2a4a', color: '#ccc', border: '1px solid #444', borderRadius: 4, fontSize: 12 }}
+        >
+          {['off', 'presenter', 'follower'].map(role => (
+            <option key={role} value={role}>{t(`classroom.role.${role}`)}</option>
+          ))}
+        </select>
+        <span style={{ color: '#666', fontSize: 12 }}>{t('classroom.room')}</span>
+        <input
+          value={classroom.room}
+          disabled={classroom.role !== 'off'}
+          onChange={(e) => setClassroom({ ...classroom, room: e.target.value })}
+          style={{ width: 80, background: '#2a2a4a', color: '#ccc', border: '1px solid #444', borderRadius: 4, fontSize: 12 }}
+        />
+        <input
+          value={classroom.relay}
+          disabled={classroom.role !== 'off'}
+          placeholder={t('classroom.relayPlaceholder')}
+          onChange={(e) => setClassroom({ ...classroom, relay: e.target.value.trim() })}
+          style={{ width: 200, background: '#2a2a4a', color: '#ccc', border: '1px solid #444', borderRadius: 4, fontSize: 12 }}
+        />
+        {presenting && (
+          <button onClick={openPoll} disabled={!!poll && poll.open} style={exportButtonStyle}>{t('poll.open')}</button>
+        )}
+        {following && <span style={{ color: '#88ccff', fontSize: 12 }}>{t('classroom.following')}</span>}
       </div>
     </div>
   );
-}
+});
+
+export default ElectronWaveSimulation;
@@ -0,0 +1,143 @@
+// Animated GIF89a encoder for indexed frames. There is no colour quantization: the caller
+// supplies a palette of at most 256 [r, g, b] colours and frames of palette indices.
+//
+//   encodeGif({ width, height, palette, frames: [{ pixels, delay }], loop }) → Uint8Array
+//
+// `delay` is in hundredths of a second; `loop` is the repeat count, 0 for forever.
+
+// Growable byte buffer
+const createWriter = () => {
+  let bytes = new Uint8Array(1 << 16);
+  let length = 0;
+  const ensure = (extra) => {
+    if (length + extra <= bytes.length) return;
+    const grown = new Uint8Array(Math.max(bytes.length * 2, length + extra));
+    grown.set(bytes.subarray(0, length));
+    bytes = grown;
+  };
+  const byte = (value) => {
+    ensure(1);
+    bytes[length++] = value & 0xff;
+  };
+  const word = (value) => {
+    byte(value);
+    byte(value >> 8);
+  };
+  const ascii = (text) => {
+    for (let i = 0; i < text.length; i++) byte(text.charCodeAt(i));
+  };
+  return { byte, word, ascii, result: () => bytes.slice(0, length) };
+};
+
+// LZW-compress indices into data sub-blocks of up to 255 bytes, with the variable code
+// width of the GIF spec: codes grow a bit whenever the table passes a power of two, and
+// the table is cleared once it holds 4096 codes
+const writeImageData = (writer, pixels, minCodeSize) => {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+  let block = [];
+  let buffer = 0;
+  let bits = 0;
+
+  const flushBlock = () => {
+    writer.byte(block.length);
+    block.forEach(writer.byte);
+    block = [];
+  };
+  const emit = (code) => {
+    buffer |= code << bits;
+    bits += codeSize;
+    while (bits >= 8) {
+      block.push(buffer & 0xff);
+      buffer >>>= 8;
+      bits -= 8;
+      if (block.length === 255) flushBlock();
+    }
+  };
+
+  writer.byte(minCodeSize);
+  emit(clearCode);
+  let prefix = pixels[0];
+  for (let i = 1; i < pixels.length; i++) {
+    const pixel = pixels[i];
+    const key = (prefix << 8) | pixel;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode === 4096) {
+      emit(clearCode);
+      nextCode = endCode + 1;
+      codeSize = minCodeSize + 1;
+      table = new Map();
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = pixel;
+  }
+  emit(prefix);
+  emit(endCode);
+  if (bits > 0) block.push(buffer & 0xff);
+  if (block.length > 0) flushBlock();
+  writer.byte(0);
+};
+
+export const encodeGif = ({ width, height, palette, frames, loop = 0 }) => {
+  if (palette.length < 1 || palette.length > 256) throw new Error('GIF palette needs 1 to 256 colours');
+  // The colour table holds a power of two entries, at least 4 for the minimum LZW code size
+  let tableBits = 2;
+  while (1 << tableBits < palette.length) tableBits++;
+  const writer = createWriter();
+
+  writer.ascii('GIF89a');
+  writer.word(width);
+  writer.word(height);
+  writer.byte(0x80 | ((tableBits - 1) << 4) | (tableBits - 1));
+  writer.byte(0);
+  writer.byte(0);
+  for (let i = 0; i < 1 << tableBits; i++) {
+    const [r, g, b] = palette[i] || [0, 0, 0];
+    writer.byte(r);
+    writer.byte(g);
+    writer.byte(b);
+  }
+
+  // NETSCAPE2.0 application extension: repeat count
+  writer.byte(0x21);
+  writer.byte(0xff);
+  writer.byte(11);
+  writer.ascii('NETSCAPE2.0');
+  writer.byte(3);
+  writer.byte(1);
+  writer.word(loop);
+  writer.byte(0);
+
+  frames.forEach(({ pixels, delay = 10 }) => {
+    if (pixels.length !== width * height) throw new Error('GIF frame size does not match the image');
+    // Graphic control extension: no disposal, no transparency
+    writer.byte(0x21);
+    writer.byte(0xf9);
+    writer.byte(4);
+    writer.byte(0);
+    writer.word(delay);
+    writer.byte(0);
+    writer.byte(0);
+    // Image descriptor covering the whole image, using the global colour table
+    writer.byte(0x2c);
+    writer.word(0);
+    writer.word(0);
+    writer.word(width);
+    writer.word(height);
+    writer.byte(0);
+    writeImageData(writer, pixels, tableBits);
+  });
+
+  writer.byte(0x3b);
+  return writer.result();
+};
@@ -0,0 +1,71 @@
+// Lecture scripts: a JSON file with a sequence of steps, each of which sets up the
+// experiment and shows a caption or a question to the audience.
+//
+// {
+//   "title": "Double slit in 20 minutes",
+//   "steps": [
+//     { "mode": "light", "caption": "Light makes fringes." },
+//     { "mode": "electron", "observer": true, "speed": 3, "showDistribution": true,
+//       "targetCount": 2000, "question": { "ja": "縞は残る？", "en": "Do the fringes survive?" } }
+//   ]
+// }
+//
+// caption and question are plain strings or { locale: text } maps.
+
+export const LECTURE_MODES = ['light', 'particle', 'electron', 'single', 'eraser'];
+
+const isText = (value) => (
+  typeof value === 'string'
+  || (value !== null && typeof value === 'object' && Object.values(value).every(text => typeof text === 'string'))
+);
+
+// Step fields with their checks; anything left out keeps the step's defaults below
+const STEP_FIELDS = {
+  mode: (value) => LECTURE_MODES.includes(value),
+  observer: (value) => typeof value === 'boolean',
+  measurementStrength: (value) => Number.isFinite(value) && value >= 0 && value <= 1,
+  eraser: (value) => typeof value === 'boolean',
+  speed: (value) => Number.isFinite(value) && value > 0,
+  showDistribution: (value) => typeof value === 'boolean',
+  targetCount: (value) => Number.isInteger(value) && value >= 0,
+  fastForward: (value) => typeof value === 'boolean',
+  caption: isText,
+  question: isText,
+};
+
+const STEP_DEFAULTS = {
+  observer: false,
+  measurementStrength: 1,
+  eraser: false,
+  speed: 1.5,
+  showDistribution: false,
+  targetCount: 0,
+  fastForward: false,
+  caption: null,
+  question: null,
+};
+
+// Parse and validate a lecture script; throws with the offending step and field
+export const parseLectureScript = (text) => {
+  const script = JSON.parse(text);
+  if (!script || !Array.isArray(script.steps) || script.steps.length === 0) {
+    throw new Error('Lecture script needs a non-empty "steps" array');
+  }
+  const steps = script.steps.map((step, i) => {
+    if (!step || typeof step !== 'object') throw new Error(`Step ${i + 1} is not an object`);
+    if (step.mode === undefined) throw new Error(`Step ${i + 1} has no "mode"`);
+    Object.entries(step).forEach(([key, value]) => {
+      if (!STEP_FIELDS[key]) throw new Error(`Step ${i + 1}: unknown field "${key}"`);
+      if (!STEP_FIELDS[key](value)) throw new Error(`Step ${i + 1}: invalid ${key} ${JSON.stringify(value)}`);
+    });
+    return { ...STEP_DEFAULTS, ...step };
+  });
+  return { title: isText(script.title) ? script.title : null, steps };
+};
+
+// Pick the text for a locale from a string or { locale: text } map
+export const localizedText = (value, locale, fallbackLocale = 'ja') => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'string') return value;
+  return value[locale] ?? value[fallbackLocale] ?? Object.values(value)[0] ?? null;
+};
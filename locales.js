@@ -0,0 +1,433 @@
+// UI text bundles. Keys are flat dotted names; values may contain {name} placeholders.
+// More languages can be added at runtime with registerLocale.
+
+export const DEFAULT_LOCALE = 'ja';
+
+const LOCALES = {
+  ja: {
+    name: '日本語',
+    intl: 'ja-JP',
+    messages: {
+      'app.title': '電子の二重性シミュレーション',
+      'app.subtitle': 'Interactive Lecture Demonstration',
+      'app.language': '言語',
+      'app.on': 'オン',
+      'app.off': 'オフ',
+
+      'mode.light.title': 'デモ1: 光（波）',
+      'mode.particle.title': 'デモ2: ボール（粒子）',
+      'mode.electron.title': 'デモ3: 電子ビーム',
+      'mode.single.title': 'デモ4: 単一電子',
+      'mode.eraser.title': 'デモ5: 量子消しゴム',
+      'mode.particle.unit': 'ボール',
+      'mode.electron.unit': '電子',
+      'mode.single.unit': '電子',
+      'mode.eraser.unit': '光子',
+
+      'observer.label': '観測装置（どちらのスリットを通ったか検出）',
+      'observer.efficiency': '検出効率 η:',
+
+      'eraser.tagging': '偏光子でどちらの道かをタグ付け（↔ / ↕）',
+      'eraser.delayed': '遅延選択（着弾後に決める）',
+      'eraser.toggle': '消しゴム（45°偏光子）{state}',
+      'eraser.pending': '未決定: {count}',
+      'eraser.erase': '消去する',
+      'eraser.keep': '消去しない',
+
+      'view.source': '発射源',
+      'view.screen': 'スクリーン',
+
+      'aperture.single': '単スリット',
+      'aperture.double': '二重スリット',
+      'aperture.grating': '回折格子',
+
+      'subset.all': 'すべて',
+      'subset.plus': '+45°',
+      'subset.minus': '−45°',
+      'subset.H': 'H（スリット1）',
+      'subset.V': 'V（スリット2）',
+
+      'distribution.title': 'スクリーン上の分布',
+      'distribution.visibility': '縞の可視度 V: 実験 {measured} / 理論 {theory}',
+      'distribution.top': '上',
+      'distribution.bottom': '下',
+      'distribution.measured': '実験結果',
+      'legend.measured': '実験',
+      'legend.prediction': '予想',
+      'legend.theoryShape': '理論（{shape}）',
+      'distribution.theoryShape': '理論予測（{shape}）',
+
+      'prediction.draw': '✏️ 予想を描く',
+      'prediction.drawing': '✏️ ドラッグして描く（終了）',
+      'prediction.clear': '予想を消す',
+      'prediction.score': 'あなたの予想と実験の一致度: {measured}',
+      'prediction.shapes': '干渉の形 {interference} / 古典の形 {classical}',
+      'prediction.closerInterference': '→ 干渉の形に近い予想',
+      'prediction.closerClassical': '→ 古典（粒子）の形に近い予想',
+
+      'fit.hypothesis': '仮説',
+      'fit.chiPerDof': 'χ²/自由度',
+      'fit.interference': '干渉',
+      'fit.classical': '古典',
+      'fit.deltaChi2': 'Δχ²（古典 − 干渉） = {value}',
+
+      'controls.start': '▶ 開始',
+      'controls.stop': '⏸ 停止',
+      'controls.reset': '🔄 リセット',
+      'controls.seed': 'シード:',
+      'controls.speed': '速度:',
+      'controls.fastForward': '⏩ {count}個を一気に発射',
+      'controls.fastForwardLeft': '⏩ 残り {count}',
+      'controls.showDistribution': '分布グラフを表示',
+      'controls.waveView': '波の表示:',
+      'controls.solver': '波束ソルバー（シュレーディンガー方程式）',
+      'controls.bohmian': 'ボーム軌道（パイロット波）',
+      'controls.bohmianHint': '電子は波動関数の案内方程式に従って進みます。軌道は交差せず、着弾分布は干渉縞になります。観測された電子は粒子モデルのままです。',
+      'controls.slitCount': 'スリット数 N:',
+
+      'waveView.circles': '同心円',
+      'waveView.field': '波動場（実部）',
+      'waveView.intensity': '強度 |ψ|²',
+
+      'param.wavelength': '波長 λ',
+      'param.slitSpacing': 'スリット間隔 d',
+      'param.slitWidth': 'スリット幅 a',
+      'param.screenDistance': 'スクリーン距離 L',
+      'param.fringeSpacing': '縞間隔 λL/d = {value}',
+      'param.peakHalfWidth': '中央ピーク半幅 λL/a = {value}',
+      'param.fringeSpacingMeasured': '（測定 {value}）',
+      'param.coherence': 'コヒーレンス:',
+      'param.sourceWidth': 'ソース幅 s',
+      'param.wavelengthSpread': 'エネルギー幅 Δλ/λ',
+      'param.decoherenceRate': 'デコヒーレンス率 Γ',
+      'param.coherenceWidth': '横コヒーレンス幅 λD/s = {value}px（d = {spacing}px）',
+      'param.pathLeak': '環境に経路が漏れる割合 {value}%',
+      'param.coherenceOneWave': 'ボーム軌道と波束ソルバーは、点光源・単一波長のコヒーレントな波に従います',
+      'units.preset': '実験:',
+      'units.preset.custom': '模式図（px 単位）',
+      'units.preset.young': 'ヤングの二重スリット（ナトリウム光）',
+      'units.preset.jonsson': 'ヨンソン 1961（50 keV 電子）',
+      'units.preset.tonomura': '外村 1989（電子1個ずつの蓄積）',
+      'units.preset.c60': 'アルントら 1999（C60 フラーレン）',
+      'units.modified': '（パラメータ変更あり）',
+      'units.particle.photon': '光',
+      'units.particle.electron': '電子',
+      'units.particle.c60': 'C60 分子',
+      'units.source.energy': '{particle}：λ = {wavelength}（{energy}）',
+      'units.source.speed': '{particle}：λ = {wavelength}（速さ {speed}）',
+      'units.notToScale': '縮尺は軸ごとに異なります（スケールバー参照）',
+
+      'io.record': '記録:',
+      'io.import': '読み込み…',
+      'io.image': '画像:',
+      'io.loaded': '{name}: {count}件を読み込みました',
+      'io.loadFailed': '読み込みに失敗しました: {message}',
+      'io.unsupportedMode': '「{mode}」のデモはここでは使えません',
+
+      'timelapse.title': 'タイムラプス:',
+      'timelapse.replayCurrent': 'この実験を再生',
+      'timelapse.replayPrevious': '前回の実験を再生（{count}件）',
+      'timelapse.play': '▶ 再生',
+      'timelapse.pause': '⏸ 一時停止',
+      'timelapse.close': '再生を終了',
+      'timelapse.position': '{count} / {total}件・{time} 秒',
+      'timelapse.speed': '速度',
+      'timelapse.scrubber': '再生位置',
+      'timelapse.snapshots': '検出数ごとの干渉縞の形成',
+      'timelapse.snapshot': 'N = {count}',
+      'timelapse.export': '形成過程:',
+      'timelapse.exportGif': 'GIF アニメ',
+      'timelapse.exportFrames': 'PNG 連番（ZIP）',
+
+      'lecture.label': '講義:',
+      'lecture.load': 'スクリプトを開く…',
+      'lecture.loadFailed': '講義スクリプトを読み込めません: {message}',
+      'lecture.unsupportedMode': 'ステップ{step}の「{mode}」のデモはここでは使えません',
+      'lecture.step': 'ステップ {current} / {total}',
+      'lecture.previous': '◀ 前へ',
+      'lecture.next': '次へ ▶',
+      'lecture.exit': '終了',
+      'lecture.keys': '← → / PageUp・PageDown で移動、Esc で終了',
+
+      'a11y.reducedMotion': '動きを減らす',
+      'a11y.palette': '配色:',
+      'a11y.palette.standard': '標準',
+      'a11y.palette.accessible': '色覚に配慮（Okabe–Ito）',
+      'a11y.shortcuts': 'キーボード: Space 開始/停止 · R リセット · {keys} デモ切替 · O 観測装置 · D 分布グラフ',
+      'a11y.mode': '{title}。',
+      'a11y.observerOn': '観測装置はオンです。',
+      'a11y.observerOff': '観測装置はオフです。',
+      'a11y.count': '{unit}: {count}個。',
+      'a11y.pattern.interference': 'パターンは干渉縞の形です。',
+      'a11y.pattern.classical': 'パターンは古典的な粒子の形（スリットの後ろの帯）です。',
+      'a11y.pattern.undetermined': 'パターンはまだ判定できません。',
+      'a11y.experimentLight': '光の実験、{aperture}。スクリーンには干渉縞が現れます。',
+      'a11y.experiment': '{aperture}の実験。{observer}スクリーンに記録された{unit}: {count}個。{pattern}',
+      'a11y.histogram': 'スクリーン上の着弾分布のヒストグラム、{count}件。背景は{theory}。{pattern}数値はデータ表にあります。',
+      'a11y.dataTable': 'データ表',
+      'a11y.table.position': '位置 (px)',
+      'a11y.table.count': '件数',
+      'a11y.table.density': '密度 (‰/px)',
+      'a11y.table.theory': '理論 (‰/px)',
+
+      'classroom.label': '教室:',
+      'classroom.role.off': 'オフ',
+      'classroom.role.presenter': '発表者',
+      'classroom.role.follower': '受講者',
+      'classroom.room': 'ルーム:',
+      'classroom.relayPlaceholder': 'ws://…:8787（空欄なら同じブラウザ内）',
+      'classroom.following': '👀 発表者の画面に追従中',
+      'classroom.connectFailed': '教室に接続できません: {message}',
+      'classroom.unsupportedMode': '発表者の「{mode}」のデモはここでは使えません',
+
+      'poll.open': '予想を聞く',
+      'poll.close': '締め切る',
+      'poll.question': 'スクリーンにはどんな模様ができると思いますか？',
+      'poll.responses': '回答 {count}',
+      'poll.option.fringes': '縞模様（干渉）',
+      'poll.option.twoBands': '2本の帯',
+      'poll.option.oneBand': '1本の帯',
+      'poll.option.unsure': 'わからない',
+    },
+  },
+  en: {
+    name: 'English',
+    intl: 'en-US',
+    messages: {
+      'app.title': 'Wave–Particle Duality of Electrons',
+      'app.subtitle': 'Interactive Lecture Demonstration',
+      'app.language': 'Language',
+      'app.on': 'ON',
+      'app.off': 'OFF',
+
+      'mode.light.title': 'Demo 1: Light (waves)',
+      'mode.particle.title': 'Demo 2: Balls (particles)',
+      'mode.electron.title': 'Demo 3: Electron beam',
+      'mode.single.title': 'Demo 4: Single electrons',
+      'mode.eraser.title': 'Demo 5: Quantum eraser',
+      'mode.particle.unit': 'Balls',
+      'mode.electron.unit': 'Electrons',
+      'mode.single.unit': 'Electrons',
+      'mode.eraser.unit': 'Photons',
+
+      'observer.label': 'Which-path detector (which slit did it go through?)',
+      'observer.efficiency': 'Detection efficiency η:',
+
+      'eraser.tagging': 'Polarizers tag the path (↔ / ↕)',
+      'eraser.delayed': 'Delayed choice (decide after detection)',
+      'eraser.toggle': 'Eraser (45° polarizer) {state}',
+      'eraser.pending': 'Undecided: {count}',
+      'eraser.erase': 'Erase',
+      'eraser.keep': 'Keep',
+
+      'view.source': 'Source',
+      'view.screen': 'Screen',
+
+      'aperture.single': 'Single slit',
+      'aperture.double': 'Double slit',
+      'aperture.grating': 'Grating',
+
+      'subset.all': 'All',
+      'subset.plus': '+45°',
+      'subset.minus': '−45°',
+      'subset.H': 'H (slit 1)',
+      'subset.V': 'V (slit 2)',
+
+      'distribution.title': 'Distribution on the screen',
+      'distribution.visibility': 'Fringe visibility V: measured {measured} / theory {theory}',
+      'distribution.top': 'Top',
+      'distribution.bottom': 'Bot.',
+      'distribution.measured': 'Measured',
+      'legend.measured': 'Measured',
+      'legend.prediction': 'Prediction',
+      'legend.theoryShape': 'Theory ({shape})',
+      'distribution.theoryShape': 'Theory ({shape})',
+
+      'prediction.draw': '✏️ Draw a prediction',
+      'prediction.drawing': '✏️ Drag to draw (done)',
+      'prediction.clear': 'Clear prediction',
+      'prediction.score': 'Your prediction matches the measurement: {measured}',
+      'prediction.shapes': 'interference shape {interference} / classical shape {classical}',
+      'prediction.closerInterference': '→ closer to interference',
+      'prediction.closerClassical': '→ closer to the classical (particle) shape',
+
+      'fit.hypothesis': 'Hypothesis',
+      'fit.chiPerDof': 'χ²/dof',
+      'fit.interference': 'Interference',
+      'fit.classical': 'Classical',
+      'fit.deltaChi2': 'Δχ² (classical − interference) = {value}',
+
+      'controls.start': '▶ Start',
+      'controls.stop': '⏸ Stop',
+      'controls.reset': '🔄 Reset',
+      'controls.seed': 'Seed:',
+      'controls.speed': 'Speed:',
+      'controls.fastForward': '⏩ Fire {count} at once',
+      'controls.fastForwardLeft': '⏩ {count} left',
+      'controls.showDistribution': 'Show distribution',
+      'controls.waveView': 'Wave view:',
+      'controls.solver': 'Wave-packet solver (Schrödinger equation)',
+      'controls.bohmian': 'Bohmian trajectories (pilot wave)',
+      'controls.bohmianHint': 'Electrons move with the guidance equation of the wavefunction. The paths never cross, yet the hits build up the fringes. Detected electrons keep the particle model.',
+      'controls.slitCount': 'Slits N:',
+
+      'waveView.circles': 'Wavefronts',
+      'waveView.field': 'Wave field (real part)',
+      'waveView.intensity': 'Intensity |ψ|²',
+
+      'param.wavelength': 'Wavelength λ',
+      'param.slitSpacing': 'Slit spacing d',
+      'param.slitWidth': 'Slit width a',
+      'param.screenDistance': 'Screen distance L',
+      'param.fringeSpacing': 'Fringe spacing λL/d = {value}',
+      'param.peakHalfWidth': 'Central peak half-width λL/a = {value}',
+      'param.fringeSpacingMeasured': '(measured {value})',
+      'param.coherence': 'Coherence:',
+      'param.sourceWidth': 'Source width s',
+      'param.wavelengthSpread': 'Energy spread Δλ/λ',
+      'param.decoherenceRate': 'Decoherence rate Γ',
+      'param.coherenceWidth': 'Transverse coherence width λD/s = {value}px (d = {spacing}px)',
+      'param.pathLeak': 'Paths leaked to the environment: {value}%',
+      'param.coherenceOneWave': 'Bohmian trajectories and the packet solver follow one coherent wave from a point source',
+      'units.preset': 'Experiment:',
+      'units.preset.custom': 'Schematic (px units)',
+      'units.preset.young': "Young's double slit (sodium light)",
+      'units.preset.jonsson': 'Jönsson 1961 (50 keV electrons)',
+      'units.preset.tonomura': 'Tonomura 1989 (single-electron build-up)',
+      'units.preset.c60': 'Arndt et al. 1999 (C60 fullerenes)',
+      'units.modified': '(parameters changed)',
+      'units.particle.photon': 'Light',
+      'units.particle.electron': 'Electrons',
+      'units.particle.c60': 'C60 molecules',
+      'units.source.energy': '{particle}: λ = {wavelength} ({energy})',
+      'units.source.speed': '{particle}: λ = {wavelength} at {speed}',
+      'units.notToScale': 'Each axis has its own scale; see the scale bars',
+
+      'io.record': 'Record:',
+      'io.import': 'Import…',
+      'io.image': 'Image:',
+      'io.loaded': '{name}: loaded {count} hits',
+      'io.loadFailed': 'Import failed: {message}',
+      'io.unsupportedMode': 'the "{mode}" demo is not available here',
+
+      'timelapse.title': 'Time-lapse:',
+      'timelapse.replayCurrent': 'Replay this run',
+      'timelapse.replayPrevious': 'Replay previous run ({count} hits)',
+      'timelapse.play': '▶ Play',
+      'timelapse.pause': '⏸ Pause',
+      'timelapse.close': 'End replay',
+      'timelapse.position': '{count} / {total} hits · {time} s',
+      'timelapse.speed': 'Speed',
+      'timelapse.scrubber': 'Replay position',
+      'timelapse.snapshots': 'Build-up of the pattern by number of detections',
+      'timelapse.snapshot': 'N = {count}',
+      'timelapse.export': 'Build-up:',
+      'timelapse.exportGif': 'Animated GIF',
+      'timelapse.exportFrames': 'PNG frames (ZIP)',
+
+      'lecture.label': 'Lecture:',
+      'lecture.load': 'Open script…',
+      'lecture.loadFailed': 'Could not load the lecture script: {message}',
+      'lecture.unsupportedMode': 'Step {step} uses the "{mode}" demo, which is not available here',
+      'lecture.step': 'Step {current} / {total}',
+      'lecture.previous': '◀ Back',
+      'lecture.next': 'Next ▶',
+      'lecture.exit': 'End',
+      'lecture.keys': '← → or PageUp/PageDown to move, Esc to end',
+
+      'a11y.reducedMotion': 'Reduce motion',
+      'a11y.palette': 'Colours:',
+      'a11y.palette.standard': 'Standard',
+      'a11y.palette.accessible': 'Colour-blind safe (Okabe–Ito)',
+      'a11y.shortcuts': 'Keyboard: Space start/stop · R reset · {keys} demos · O detector · D distribution',
+      'a11y.mode': '{title}.',
+      'a11y.observerOn': 'The which-path detector is on.',
+      'a11y.observerOff': 'The which-path detector is off.',
+      'a11y.count': '{unit}: {count}.',
+      'a11y.pattern.interference': 'The pattern has the interference shape.',
+      'a11y.pattern.classical': 'The pattern has the classical particle shape, with bands behind the slits.',
+      'a11y.pattern.undetermined': 'The pattern cannot be told yet.',
+      'a11y.experimentLight': 'Light experiment, {aperture}. Interference fringes appear on the screen.',
+      'a11y.experiment': '{aperture} experiment. {observer} {unit} recorded on the screen: {count}. {pattern}',
+      'a11y.histogram': 'Histogram of {count} hits on the screen, drawn over the {theory}. {pattern} The numbers are in the data table.',
+      'a11y.dataTable': 'Data table',
+      'a11y.table.position': 'Position (px)',
+      'a11y.table.count': 'Count',
+      'a11y.table.density': 'Density (‰/px)',
+      'a11y.table.theory': 'Theory (‰/px)',
+
+      'classroom.label': 'Classroom:',
+      'classroom.role.off': 'Off',
+      'classroom.role.presenter': 'Presenter',
+      'classroom.role.follower': 'Student',
+      'classroom.room': 'Room:',
+      'classroom.relayPlaceholder': 'ws://…:8787 (empty: this browser only)',
+      'classroom.following': '👀 Following the presenter',
+      'classroom.connectFailed': 'Could not join the classroom: {message}',
+      'classroom.unsupportedMode': 'The presenter is showing the "{mode}" demo, which is not available here',
+
+      'poll.open': 'Ask for predictions',
+      'poll.close': 'Close poll',
+      'poll.question': 'What pattern will appear on the screen?',
+      'poll.responses': '{count} answers',
+      'poll.option.fringes': 'Fringes (interference)',
+      'poll.option.twoBands': 'Two bands',
+      'poll.option.oneBand': 'One band',
+      'poll.option.unsure': 'Not sure',
+    },
+  },
+};
+
+// Add or replace a locale: { name, intl, messages }. Missing keys fall back to the default locale.
+export const registerLocale = (code, bundle) => {
+  LOCALES[code] = bundle;
+};
+
+export const availableLocales = () =>
+  Object.entries(LOCALES).map(([code, { name }]) => ({ code, name }));
+
+// Best registered match for a requested tag: exact ('en-GB'), then its language ('en')
+export const resolveLocale = (requested) => {
+  if (!requested) return DEFAULT_LOCALE;
+  if (LOCALES[requested]) return requested;
+  const language = requested.toLowerCase().split(/[-_]/)[0];
+  return LOCALES[language] ? language : DEFAULT_LOCALE;
+};
+
+// ?lang=en in the page URL overrides the default
+export const localeFromQuery = (search = typeof window !== 'undefined' ? window.location.search : '') =>
+  new URLSearchParams(search).get('lang');
+
+// Keep the chosen language in the URL so a shared link opens in the same language
+export const storeLocaleInQuery = (code) => {
+  if (typeof window === 'undefined') return;
+  const url = new URL(window.location.href);
+  url.searchParams.set('lang', code);
+  window.history.replaceState(window.history.state, '', url);
+};
+
+const interpolate = (template, vars) =>
+  template.replace(/\{(\w+)\}/g, (match, name) => (vars[name] === undefined ? match : String(vars[name])));
+
+// t(key, vars) looks up a message; formatNumber(value, digits) formats with the
+// locale's separators, to a fixed number of decimals when digits is given
+export const createTranslator = (code) => {
+  const locale = LOCALES[resolveLocale(code)];
+  const fallback = LOCALES[DEFAULT_LOCALE];
+  const formatters = new Map();
+
+  const t = (key, vars = {}) => {
+    const template = locale.messages[key] ?? fallback.messages[key] ?? key;
+    return interpolate(template, vars);
+  };
+
+  const formatNumber = (value, digits = null) => {
+    if (!formatters.has(digits)) {
+      const options = digits === null ? {} : { minimumFractionDigits: digits, maximumFractionDigits: digits };
+      formatters.set(digits, new Intl.NumberFormat(locale.intl, options));
+    }
+    return formatters.get(digits).format(value);
+  };
+
+  return { code: resolveLocale(code), t, formatNumber };
+};
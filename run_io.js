@@ -0,0 +1,212 @@
+// Export and import of experiment runs (JSON / CSV) and snapshot images of the views
+
+export const RUN_FORMAT = 'electron-wave-run';
+export const RUN_FORMAT_VERSION = 1;
+
+const SETTING_KEYS = ['mode', 'observerOn', 'measurementStrength', 'eraserOn', 'delayedChoice', 'solverOn', 'bohmian'];
+const HIT_COLUMNS = ['t', 'y', 'z', 'detected', 'tag', 'tagU', 'pH', 'pPlus'];
+
+// Plain-object snapshot of a run: settings, geometry, seed and every hit
+export const serializeRun = ({ settings, seed, hits }) => ({
+  format: RUN_FORMAT,
+  version: RUN_FORMAT_VERSION,
+  exportedAt: new Date().toISOString(),
+  ...Object.fromEntries(SETTING_KEYS.map(key => [key, settings[key]])),
+  params: { ...settings.params },
+  seed,
+  hits: hits.map(hit => Object.fromEntries(
+    HIT_COLUMNS.filter(key => hit[key] !== undefined).map(key => [key, hit[key]])
+  )),
+});
+
+export const runToJson = (run) => JSON.stringify(run, null, 2);
+
+// CSV: metadata as "# key=value" comment lines, then one row per hit
+export const runToCsv = (run) => {
+  const meta = Object.entries(run)
+    .filter(([key]) => key !== 'hits')
+    .map(([key, value]) => `# ${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`);
+  const rows = run.hits.map(hit => HIT_COLUMNS.map(key => (
+    hit[key] === undefined || hit[key] === null ? '' : hit[key]
+  )).join(','));
+  return [...meta, HIT_COLUMNS.join(','), ...rows].join('\n') + '\n';
+};
+
+const parseMetaValue = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return value;
+  }
+};
+
+const parseCsv = (text) => {
+  const run = {};
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  const dataLines = [];
+  lines.forEach(line => {
+    if (line.startsWith('#')) {
+      const separator = line.indexOf('=');
+      if (separator > 0) run[line.slice(1, separator).trim()] = parseMetaValue(line.slice(separator + 1).trim());
+    } else {
+      dataLines.push(line);
+    }
+  });
+  const [header, ...rows] = dataLines;
+  if (!header) throw new Error('CSV has no header row');
+  const columns = header.split(',').map(column => column.trim());
+  if (!columns.includes('y')) throw new Error('CSV needs a "y" column');
+  run.hits = rows.map(row => {
+    const cells = row.split(',');
+    const hit = {};
+    columns.forEach((column, i) => {
+      const cell = (cells[i] ?? '').trim();
+      if (cell === '') {
+        if (column === 'tag') hit.tag = null;
+        return;
+      }
+      if (column === 'tag') hit.tag = cell;
+      else if (column === 'detected') hit.detected = cell === 'true';
+      else hit[column] = parseFloat(cell);
+    });
+    return hit;
+  });
+  // Tag columns only matter for eraser runs
+  if (run.mode !== 'eraser') run.hits.forEach(hit => { delete hit.tag; });
+  return run;
+};
+
+// Parse a JSON or CSV export back into a run; throws on anything it cannot use
+export const parseRun = (text) => {
+  const trimmed = text.trim();
+  const run = trimmed.startsWith('{') ? JSON.parse(trimmed) : parseCsv(trimmed);
+  if (run.format !== undefined && run.format !== RUN_FORMAT) {
+    throw new Error(`Unknown run format "${run.format}"`);
+  }
+  if (!Array.isArray(run.hits)) throw new Error('Run has no hits');
+  const badHit = run.hits.findIndex(hit => !Number.isFinite(hit.y));
+  if (badHit !== -1) throw new Error(`Hit ${badHit + 1} has no valid y position`);
+  return {
+    ...run,
+    hits: run.hits.map((hit, i) => ({ ...hit, t: Number.isFinite(hit.t) ? hit.t : i })),
+  };
+};
+
+export const downloadBlob = (filename, blob) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+export const downloadText = (filename, text, type) => downloadBlob(filename, new Blob([text], { type }));
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Combine panels side by side into one standalone SVG document. Each panel is
+// { svg, width, height, background, overlays: [{ canvas, x, y, width, height }] };
+// canvas overlays are embedded as images at their position in the panel's viewBox.
+export const composeSnapshotSvg = (panels) => {
+  const serializer = new XMLSerializer();
+  const width = panels.reduce((sum, panel) => sum + panel.width, 0);
+  const height = Math.max(...panels.map(panel => panel.height));
+  let offset = 0;
+  const groups = panels.map(({ svg, width: panelWidth, height: panelHeight, background, overlays = [] }) => {
+    const content = Array.from(svg.childNodes).map(node => serializer.serializeToString(node)).join('');
+    const images = overlays.map(({ canvas, x, y, width: w, height: h }) => (
+      `<image href="${canvas.toDataURL('image/png')}" x="${x}" y="${y}" width="${w}" height="${h}" preserveAspectRatio="none"/>`
+    )).join('');
+    const group = `<g transform="translate(${offset},0)">`
+      + `<rect width="${panelWidth}" height="${panelHeight}" fill="${background}"/>${content}${images}</g>`;
+    offset += panelWidth;
+    return group;
+  });
+  return `<svg xmlns="${SVG_NS}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+    + `${groups.join('')}</svg>`;
+};
+
+// Rasterize an SVG document string to a PNG blob
+export const svgToPngBlob = (svgText, width, height, scale = 3) => new Promise((resolve, reject) => {
+  const image = new Image();
+  const url = URL.createObjectURL(new Blob([svgText], { type: 'image/svg+xml' }));
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    ctx.drawImage(image, 0, 0, width, height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Snapshot SVG could not be rendered'));
+  };
+  image.src = url;
+});
+
+// CRC-32 (IEEE 802.3) of a byte array, the checksum of ZIP entries
+let crcTable = null;
+const crc32 = (bytes) => {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Uncompressed ZIP archive of [{ name, data: Uint8Array }], e.g. a sequence of PNG frames
+// that are already compressed; ASCII names, all dated 1980-01-01
+export const createZip = (files) => {
+  const names = files.map(({ name }) => Uint8Array.from(name, c => c.charCodeAt(0)));
+  const localSize = files.reduce((sum, { data }, i) => sum + 30 + names[i].length + data.length, 0);
+  const centralSize = names.reduce((sum, name) => sum + 46 + name.length, 0);
+  const bytes = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(bytes.buffer);
+  const DOS_DATE = (1 << 5) | 1;
+  let offset = 0;
+  const entries = files.map(({ data }, i) => {
+    const entry = { offset, crc: crc32(data), size: data.length };
+    view.setUint32(offset, 0x04034b50, true);
+    view.setUint16(offset + 4, 20, true);
+    view.setUint16(offset + 12, DOS_DATE, true);
+    view.setUint32(offset + 14, entry.crc, true);
+    view.setUint32(offset + 18, data.length, true);
+    view.setUint32(offset + 22, data.length, true);
+    view.setUint16(offset + 26, names[i].length, true);
+    bytes.set(names[i], offset + 30);
+    bytes.set(data, offset + 30 + names[i].length);
+    offset += 30 + names[i].length + data.length;
+    return entry;
+  });
+  entries.forEach(({ offset: localOffset, crc, size }, i) => {
+    view.setUint32(offset, 0x02014b50, true);
+    view.setUint16(offset + 4, 20, true);
+    view.setUint16(offset + 6, 20, true);
+    view.setUint16(offset + 14, DOS_DATE, true);
+    view.setUint32(offset + 16, crc, true);
+    view.setUint32(offset + 20, size, true);
+    view.setUint32(offset + 24, size, true);
+    view.setUint16(offset + 28, names[i].length, true);
+    view.setUint32(offset + 42, localOffset, true);
+    bytes.set(names[i], offset + 46);
+    offset += 46 + names[i].length;
+  });
+  view.setUint32(offset, 0x06054b50, true);
+  view.setUint16(offset + 8, files.length, true);
+  view.setUint16(offset + 10, files.length, true);
+  view.setUint32(offset + 12, centralSize, true);
+  view.setUint32(offset + 16, localSize, true);
+  return bytes;
+};
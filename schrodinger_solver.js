@@ -0,0 +1,279 @@
+// Split-operator solver for the 2D time-dependent Schrödinger equation.
+// Units: ħ = m = 1, lengths in SVG px, so a packet with wavenumber k0
+// travels at k0 px per time unit.
+
+// In-place radix-2 FFT of (re, im) with length n = 2^m
+const fft = (re, im, inverse) => {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const angle = ((inverse ? 2 : -2) * Math.PI) / len;
+    const wRe = Math.cos(angle);
+    const wIm = Math.sin(angle);
+    for (let start = 0; start < n; start += len) {
+      let curRe = 1;
+      let curIm = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const a = start + k;
+        const b = a + len / 2;
+        const tRe = re[b] * curRe - im[b] * curIm;
+        const tIm = re[b] * curIm + im[b] * curRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = curRe * wRe - curIm * wIm;
+        curIm = curRe * wIm + curIm * wRe;
+        curRe = nextRe;
+      }
+    }
+  }
+  if (inverse) {
+    for (let i = 0; i < n; i++) {
+      re[i] /= n;
+      im[i] /= n;
+    }
+  }
+};
+
+// 2D FFT over a row-major nx × ny grid (index = iy * nx + ix)
+const fft2d = (re, im, nx, ny, inverse) => {
+  const rowRe = new Float64Array(nx);
+  const rowIm = new Float64Array(nx);
+  for (let iy = 0; iy < ny; iy++) {
+    const offset = iy * nx;
+    for (let ix = 0; ix < nx; ix++) {
+      rowRe[ix] = re[offset + ix];
+      rowIm[ix] = im[offset + ix];
+    }
+    fft(rowRe, rowIm, inverse);
+    for (let ix = 0; ix < nx; ix++) {
+      re[offset + ix] = rowRe[ix];
+      im[offset + ix] = rowIm[ix];
+    }
+  }
+  const colRe = new Float64Array(ny);
+  const colIm = new Float64Array(ny);
+  for (let ix = 0; ix < nx; ix++) {
+    for (let iy = 0; iy < ny; iy++) {
+      colRe[iy] = re[iy * nx + ix];
+      colIm[iy] = im[iy * nx + ix];
+    }
+    fft(colRe, colIm, inverse);
+    for (let iy = 0; iy < ny; iy++) {
+      re[iy * nx + ix] = colRe[iy];
+      im[iy * nx + ix] = colIm[iy];
+    }
+  }
+};
+
+// Signed FFT frequency for bin i of an n-point transform with spacing d
+const waveNumber = (i, n, d) => ((i < n / 2 ? i : i - n) * 2 * Math.PI) / (n * d);
+
+// Create a solver for a Gaussian wave packet fired at a slit barrier.
+// geometry: { xMin, xMax, yMin, yMax, sourceY, slitX, barrierThickness,
+//             slitYs, slitWidth, wavelength, screenX }
+// Short wavelengths need the finer x grid to stay below the Nyquist limit.
+export const createWavePacketSolver = (geometry, options = {}) => {
+  const { nx = geometry.wavelength < 8 ? 256 : 128, ny = 128, dt = 1, absorbCells = 12 } = options;
+  const { xMin, xMax, yMin, yMax, slitX, barrierThickness, slitYs, slitWidth, wavelength, screenX } = geometry;
+  const dx = (xMax - xMin) / nx;
+  const dy = (yMax - yMin) / ny;
+  const k0 = (2 * Math.PI) / wavelength;
+  const size = nx * ny;
+
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  const screenProfile = new Float64Array(ny);
+  const screenColumn = Math.min(nx - 1, Math.round((screenX - xMin) / dx));
+
+  // Hard-wall barrier with openings, multiplied with absorbing edges into one mask
+  const mask = new Float64Array(size);
+  const edgeDamping = (i, n) => {
+    const distance = Math.min(i, n - 1 - i);
+    if (distance >= absorbCells) return 1;
+    return Math.pow(Math.sin((Math.PI / 2) * (distance / absorbCells)), 0.25);
+  };
+  for (let iy = 0; iy < ny; iy++) {
+    const y = yMin + (iy + 0.5) * dy;
+    const open = slitYs.some(slitY => Math.abs(y - slitY) <= slitWidth / 2);
+    for (let ix = 0; ix < nx; ix++) {
+      const x = xMin + (ix + 0.5) * dx;
+      const inBarrier = x >= slitX && x <= slitX + barrierThickness && !open;
+      mask[iy * nx + ix] = inBarrier ? 0 : edgeDamping(ix, nx) * edgeDamping(iy, ny);
+    }
+  }
+
+  // Free-particle propagator e^{-i k² dt / 2} in momentum space
+  const kineticRe = new Float64Array(size);
+  const kineticIm = new Float64Array(size);
+  for (let iy = 0; iy < ny; iy++) {
+    const ky = waveNumber(iy, ny, dy);
+    for (let ix = 0; ix < nx; ix++) {
+      const kx = waveNumber(ix, nx, dx);
+      const phase = -((kx * kx + ky * ky) * dt) / 2;
+      kineticRe[iy * nx + ix] = Math.cos(phase);
+      kineticIm[iy * nx + ix] = Math.sin(phase);
+    }
+  }
+
+  const span = slitYs.length > 1 ? slitYs[slitYs.length - 1] - slitYs[0] : 0;
+  // Start halfway between the left edge and the barrier, short enough to fit in that gap
+  const sigmaX = Math.min(2 * wavelength, (slitX - xMin) / 6);
+  const sigmaY = span / 2 + 3 * slitWidth;
+  const x0 = (xMin + slitX) / 2;
+
+  let time = 0;
+  let initialNorm = 1;
+  let measured = false;
+
+  const norm = () => {
+    let total = 0;
+    for (let i = 0; i < size; i++) total += re[i] * re[i] + im[i] * im[i];
+    return total * dx * dy;
+  };
+
+  const reset = () => {
+    for (let iy = 0; iy < ny; iy++) {
+      const y = yMin + (iy + 0.5) * dy;
+      for (let ix = 0; ix < nx; ix++) {
+        const x = xMin + (ix + 0.5) * dx;
+        const envelope = Math.exp(
+          -((x - x0) ** 2) / (4 * sigmaX * sigmaX) - ((y - geometry.sourceY) ** 2) / (4 * sigmaY * sigmaY)
+        );
+        re[iy * nx + ix] = envelope * Math.cos(k0 * x);
+        im[iy * nx + ix] = envelope * Math.sin(k0 * x);
+      }
+    }
+    screenProfile.fill(0);
+    time = 0;
+    measured = false;
+    initialNorm = norm();
+  };
+
+  const step = (count = 1) => {
+    for (let n = 0; n < count; n++) {
+      fft2d(re, im, nx, ny, false);
+      for (let i = 0; i < size; i++) {
+        const r = re[i] * kineticRe[i] - im[i] * kineticIm[i];
+        im[i] = re[i] * kineticIm[i] + im[i] * kineticRe[i];
+        re[i] = r;
+      }
+      fft2d(re, im, nx, ny, true);
+      for (let i = 0; i < size; i++) {
+        re[i] *= mask[i];
+        im[i] *= mask[i];
+      }
+      // Time-integrated density at the screen column is the detection probability
+      for (let iy = 0; iy < ny; iy++) {
+        const i = iy * nx + screenColumn;
+        screenProfile[iy] += (re[i] * re[i] + im[i] * im[i]) * dt;
+      }
+      time += dt;
+    }
+  };
+
+  const exitColumn = Math.ceil((slitX + barrierThickness - xMin) / dx);
+  const bandOf = (y) => {
+    let best = 0;
+    slitYs.forEach((slitY, j) => {
+      if (Math.abs(y - slitY) < Math.abs(y - slitYs[best])) best = j;
+    });
+    return best;
+  };
+
+  // Probability weight of the transmitted packet in each slit's band
+  const slitWeights = () => {
+    const weights = slitYs.map(() => 0);
+    for (let iy = 0; iy < ny; iy++) {
+      const band = bandOf(yMin + (iy + 0.5) * dy);
+      for (let ix = exitColumn; ix < nx; ix++) {
+        const i = iy * nx + ix;
+        weights[band] += re[i] * re[i] + im[i] * im[i];
+      }
+    }
+    return weights;
+  };
+
+  // Which-path measurement: collapse the transmitted part onto one slit's band,
+  // chosen with the Born-rule weight of that band unless `forced` names the slit
+  const measureSlit = (random = Math.random, forced = null) => {
+    const weights = slitWeights();
+    const total = weights.reduce((a, b) => a + b, 0);
+    let chosen = 0;
+    if (forced !== null) {
+      chosen = forced;
+    } else {
+      let pick = random() * total;
+      while (chosen < weights.length - 1 && pick > weights[chosen]) {
+        pick -= weights[chosen];
+        chosen++;
+      }
+    }
+    const scale = weights[chosen] > 0 ? Math.sqrt(total / weights[chosen]) : 0;
+    for (let iy = 0; iy < ny; iy++) {
+      const keep = bandOf(yMin + (iy + 0.5) * dy) === chosen;
+      for (let ix = exitColumn; ix < nx; ix++) {
+        const i = iy * nx + ix;
+        re[i] = keep ? re[i] * scale : 0;
+        im[i] = keep ? im[i] * scale : 0;
+      }
+    }
+    measured = true;
+    return chosen;
+  };
+
+  // Time at which the packet centre has cleared the barrier
+  const crossingTime = (slitX + barrierThickness + sigmaX - x0) / k0;
+  // The packet is done once almost all of it is absorbed, or long after it should have arrived
+  const finished = () => norm() < 0.02 * initialNorm || time > (3 * (screenX - x0)) / k0;
+
+  const density = () => {
+    const out = new Float32Array(size);
+    for (let i = 0; i < size; i++) out[i] = re[i] * re[i] + im[i] * im[i];
+    return out;
+  };
+
+  reset();
+
+  return {
+    nx,
+    ny,
+    dx,
+    dy,
+    xMin,
+    yMin,
+    screenProfile,
+    crossingTime,
+    get time() { return time; },
+    get measured() { return measured; },
+    reset,
+    step,
+    slitWeights,
+    measureSlit,
+    finished,
+    norm,
+    density,
+  };
+};
+
+// Sample a screen y from a detection profile over grid rows (inverse CDF)
+export const sampleProfile = (profile, yMin, dy, random = Math.random) => {
+  let total = 0;
+  for (let i = 0; i < profile.length; i++) total += profile[i];
+  if (total <= 0) return null;
+  let pick = random() * total;
+  for (let i = 0; i < profile.length; i++) {
+    if (pick < profile[i]) return yMin + (i + pick / profile[i]) * dy;
+    pick -= profile[i];
+  }
+  return yMin + (profile.length - 0.5) * dy;
+};
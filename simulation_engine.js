@@ -0,0 +1,448 @@
+// Headless particle and detection engine. No React and no DOM: every random draw
+// comes from a seeded PRNG, so a run can be reproduced, tested or precomputed.
+import {
+  CENTER_Y,
+  SCREEN_X,
+  SCREEN_Y_MIN,
+  SCREEN_Y_MAX,
+  PARTICLE_SPEED,
+  DEFAULT_PARAMS,
+  getSlitX,
+  getSlitYs,
+  calculateInterference,
+  calculateSourcePoint,
+  calculateClassical,
+  getDetectionStrength,
+  paramsForMode,
+  calculateTagged,
+  calculateEraserTotal,
+  resolveTag,
+  getSolverGeometry,
+} from './wave_physics';
+import { createWavePacketSolver, sampleProfile } from './schrodinger_solver';
+import { createBinnedCounts } from './statistics';
+import { createBohmianGuide } from './bohmian';
+
+// mulberry32: a small 32-bit generator, plenty for Monte Carlo sampling in a demo
+export const createRng = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+export const DEFAULT_SETTINGS = {
+  mode: 'light',
+  params: DEFAULT_PARAMS,
+  observerOn: false,
+  measurementStrength: 1,
+  eraserOn: false,
+  delayedChoice: false,
+  solverOn: false,
+  bohmian: false,
+};
+
+// Most recent pilot-wave trajectories kept for drawing
+export const MAX_TRACES = 150;
+
+// Rejected draws before a screen position is sampled by inversion, and that grid's step (px)
+const REJECTION_ATTEMPTS = 150;
+const INVERSION_STEP = 0.5;
+
+// Inverse-CDF sampling of a screen position from the density's cumulative sum on a
+// fine grid, interpolated within the cell; uniform if the density is zero everywhere
+export const sampleByInversion = (density, params, random) => {
+  const cells = Math.round((SCREEN_Y_MAX - SCREEN_Y_MIN) / INVERSION_STEP);
+  const cumulative = new Float64Array(cells);
+  let total = 0;
+  for (let i = 0; i < cells; i++) {
+    total += Math.max(0, density(SCREEN_Y_MIN + (i + 0.5) * INVERSION_STEP, params));
+    cumulative[i] = total;
+  }
+  if (!(total > 0)) return SCREEN_Y_MIN + random() * (SCREEN_Y_MAX - SCREEN_Y_MIN);
+  const u = random() * total;
+  let lo = 0;
+  let hi = cells - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (cumulative[mid] > u) hi = mid;
+    else lo = mid + 1;
+  }
+  const below = lo > 0 ? cumulative[lo - 1] : 0;
+  return SCREEN_Y_MIN + (lo + (u - below) / (cumulative[lo] - below)) * INVERSION_STEP;
+};
+
+// Rejection sampling of a screen position from a density of at most 1, over the same
+// screen range the statistics compare against. A density far below 1 everywhere (a
+// narrow or shifted pattern) falls back to inversion, so no position is favoured.
+export const sampleTargetY = (density, params, random) => {
+  for (let attempts = 0; attempts < REJECTION_ATTEMPTS; attempts++) {
+    const y = SCREEN_Y_MIN + random() * (SCREEN_Y_MAX - SCREEN_Y_MIN);
+    if (random() < density(y, params)) return y;
+  }
+  return sampleByInversion(density, params, random);
+};
+
+// Emission per 60 Hz tick at 1× speed; a solver packet in beam mode yields a burst of hits
+const BEAMS = {
+  single: { spawnRate: 0.025, maxParticles: 1, burst: 1 },
+  beam: { spawnRate: 0.15, maxParticles: 12, burst: 8 },
+};
+
+const pickWeighted = (weights, random) => {
+  const total = weights.reduce((a, b) => a + b, 0);
+  let pick = random() * total;
+  let index = 0;
+  while (index < weights.length - 1 && pick > weights[index]) {
+    pick -= weights[index];
+    index++;
+  }
+  return index;
+};
+
+// Create an engine. `step(dt)` advances the animation by dt ticks (1 tick = one
+// 60 Hz frame at 1× speed) and `fire(n)` produces n detections synchronously;
+// both return the hits they added.
+export const createSimulationEngine = (initialSettings = {}, initialSeed = 1) => {
+  // Settings with the geometry the mode can run on
+  const fitted = next => ({ ...next, params: paramsForMode(next.mode, next.params) });
+  let settings = fitted({ ...DEFAULT_SETTINGS, ...initialSettings });
+  let seed = initialSeed >>> 0;
+  let random = createRng(seed);
+  let particles = [];
+  let hits = [];
+  // 1 px running counts of all hits and of each eraser tag, kept in step with `hits`
+  let histograms = {};
+  let nextId = 1;
+  // Engine time in ticks since the last reset; every hit is stamped with it
+  let time = 0;
+  let solver = null;
+  let packetChecked = false;
+  let packetOutcome = 'coherent';
+  let packetWeights = null;
+  // Detection profiles of finished packets, keyed by which-path outcome
+  let profileCache = new Map();
+  // Pilot-wave streamlines for the current geometry, built on first use
+  let guide = null;
+  // Paths of the latest Bohmian particles as { id, points: [[x, y], …] }; a new array on every change
+  let traces = [];
+
+  const beam = () => (settings.mode === 'single' ? BEAMS.single : BEAMS.beam);
+  const detectionStrength = () =>
+    getDetectionStrength(settings.mode, settings.observerOn, settings.measurementStrength, settings.params);
+
+  const rebuildSolver = () => {
+    const active = settings.solverOn && (settings.mode === 'electron' || settings.mode === 'single');
+    solver = active ? createWavePacketSolver(getSolverGeometry(settings.params)) : null;
+    packetChecked = false;
+    packetOutcome = 'coherent';
+    profileCache = new Map();
+  };
+
+  // Bohmian view: undetected electrons ride the streamlines of the guiding wave, whose
+  // tags in eraser mode make the slit currents add without interfering
+  const bohmianGuide = () => {
+    const coherent = settings.mode !== 'eraser';
+    if (!guide || guide.coherent !== coherent) guide = createBohmianGuide(settings.params, { coherent });
+    return guide;
+  };
+
+  const usesGuide = (detected) => settings.bohmian && !detected && settings.mode !== 'particle';
+
+  // Where a particle will land; a Bohmian particle also carries its guide and trajectory
+  // pick, and starts on that trajectory level with its point of entry into the slit
+  const launch = (density, detected) => {
+    if (!usesGuide(detected)) return { targetY: sampleTargetY(density, settings.params, random) };
+    const pilot = bohmianGuide();
+    const pick = pilot.pick(random);
+    return { targetY: pilot.landingY(pick), y: pilot.yAt(pick, 25), pilot, pick };
+  };
+
+  // A partially coherent source: each electron has its own wavelength and starting point
+  // and interferes only with itself, so the hits add up to the washed-out average
+  const partiallyCoherent = () => settings.params.sourceWidth > 0 || settings.params.wavelengthSpread > 0;
+
+  const launchFromSourcePoint = () => {
+    const { wavelength, wavelengthSpread, sourceWidth } = settings.params;
+    let z = 0;
+    if (wavelengthSpread > 0) {
+      do {
+        z = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+      } while (Math.abs(z) > 3);
+    }
+    const sourceOffset = sourceWidth > 0 ? (random() - 0.5) * sourceWidth : 0;
+    const own = { ...settings.params, wavelength: wavelength * (1 + wavelengthSpread * z) };
+    return {
+      targetY: sampleTargetY(y => calculateSourcePoint(y, own, sourceOffset), settings.params, random),
+      y: CENTER_Y + sourceOffset,
+    };
+  };
+
+  const createParticle = () => {
+    const base = {
+      id: nextId++,
+      x: 25,
+      y: CENTER_Y + (random() - 0.5) * 30,
+    };
+    if (settings.mode === 'eraser') {
+      // Polarization-tagged: lands according to the tag-blind total, tag decided at analysis
+      const flight = launch(calculateEraserTotal, false);
+      const { pH, pPlus } = calculateTagged(flight.targetY, settings.params);
+      return {
+        ...base,
+        ...flight,
+        throughSlit: Math.floor(random() * 2),
+        phase: random() * Math.PI * 2,
+        observed: false,
+        detected: false,
+        tagU: random(),
+        pH,
+        pPlus,
+      };
+    }
+    // Each particle is detected at the slits independently with the measurement strength
+    const detected = random() < detectionStrength();
+    const flight = !detected && !usesGuide(detected) && partiallyCoherent()
+      ? launchFromSourcePoint()
+      : launch(detected ? calculateClassical : calculateInterference, detected);
+    return {
+      ...base,
+      ...flight,
+      throughSlit: Math.floor(random() * settings.params.slitCount),
+      phase: random() * Math.PI * 2,
+      observed: settings.mode === 'particle' || settings.observerOn,
+      detected,
+    };
+  };
+
+  // z is the landing position across the width of the detector plate (0–1)
+  const hitFromParticle = (p) => {
+    const hit = { t: time, y: p.targetY, z: random(), detected: p.detected };
+    if (settings.mode === 'eraser') {
+      Object.assign(hit, { tagU: p.tagU, pH: p.pH, pPlus: p.pPlus });
+      hit.tag = settings.delayedChoice ? null : resolveTag(hit, settings.eraserOn);
+    }
+    return hit;
+  };
+
+  const cacheProfile = (outcome, weights) => {
+    const entry = { profile: Float64Array.from(solver.screenProfile), weights };
+    profileCache.set(outcome, entry);
+    return entry;
+  };
+
+  // Evolve one packet to completion with a fixed which-path outcome ('coherent' or a slit index)
+  const runPacket = (outcome) => {
+    solver.reset();
+    while (solver.time < solver.crossingTime) solver.step(1);
+    const weights = solver.slitWeights();
+    if (outcome !== 'coherent') solver.measureSlit(random, outcome);
+    while (!solver.finished()) solver.step(1);
+    const entry = cacheProfile(outcome, weights);
+    solver.reset();
+    packetChecked = false;
+    return entry;
+  };
+
+  const cachedPacket = (outcome) => profileCache.get(outcome) || runPacket(outcome);
+
+  // One detection from cached packet runs, for fast-forwarding in solver mode; none
+  // when the packet left nothing on the screen, as in stepSolver
+  const solverDetection = () => {
+    const detected = random() < detectionStrength();
+    const outcome = detected ? pickWeighted(cachedPacket('coherent').weights, random) : 'coherent';
+    const y = sampleProfile(cachedPacket(outcome).profile, solver.yMin, solver.dy, random);
+    return y === null ? null : { t: time, y, z: random(), detected };
+  };
+
+  // One packet evolution per electron; a beam shares the same wavefunction,
+  // so each finished run yields a burst of independent detections
+  const stepSolver = (dt) => {
+    const added = [];
+    solver.step(Math.max(1, Math.round(3 * dt)));
+    if (!packetChecked && solver.time >= solver.crossingTime) {
+      packetChecked = true;
+      packetWeights = solver.slitWeights();
+      packetOutcome = random() < detectionStrength() ? solver.measureSlit(random) : 'coherent';
+    }
+    if (solver.finished()) {
+      const { profile } = cacheProfile(packetOutcome, packetWeights);
+      for (let i = 0; i < beam().burst; i++) {
+        const y = sampleProfile(profile, solver.yMin, solver.dy, random);
+        if (y !== null) added.push({ t: time, y, z: random(), detected: solver.measured });
+      }
+      solver.reset();
+      packetChecked = false;
+      packetOutcome = 'coherent';
+    }
+    return added;
+  };
+
+  const keepTrace = (p) => {
+    traces = [...traces.slice(1 - MAX_TRACES), { id: p.id, points: p.pilot.trajectory(p.pick) }];
+  };
+
+  const stepParticles = (dt) => {
+    const slitX = getSlitX(settings.params);
+    const slitYs = getSlitYs(settings.params);
+    const added = [];
+    const stillActive = [];
+    particles.forEach(p => {
+      const newX = p.x + PARTICLE_SPEED * dt;
+      let newY = p.y;
+      if (p.pilot) {
+        newY = p.pilot.yAt(p.pick, Math.min(newX, SCREEN_X));
+      } else if (newX > slitX - 25 && newX < slitX + 25) {
+        const targetSlitY = slitYs[p.throughSlit] ?? CENTER_Y;
+        newY = p.y + (targetSlitY - p.y) * 0.1;
+      } else if (newX >= slitX + 25) {
+        newY = p.y + (p.targetY - p.y) * 0.05;
+      }
+      const moved = { ...p, x: newX, y: newY, phase: p.phase + 0.25 * dt };
+      if (moved.x >= SCREEN_X) {
+        added.push(hitFromParticle(moved));
+        if (moved.pilot) keepTrace(moved);
+      } else {
+        stillActive.push(moved);
+      }
+    });
+    const { spawnRate, maxParticles } = beam();
+    if (stillActive.length < maxParticles && random() < spawnRate * dt) {
+      stillActive.push(createParticle());
+    }
+    particles = stillActive;
+    return added;
+  };
+
+  const countHit = (hit) => {
+    if (!histograms.all) histograms.all = createBinnedCounts(SCREEN_Y_MIN, SCREEN_Y_MAX);
+    histograms.all.add(hit.y);
+    if (!hit.tag) return;
+    if (!histograms[hit.tag]) histograms[hit.tag] = createBinnedCounts(SCREEN_Y_MIN, SCREEN_Y_MAX);
+    histograms[hit.tag].add(hit.y);
+  };
+
+  const recountHistograms = () => {
+    histograms = {};
+    hits.forEach(countHit);
+  };
+
+  const record = (added) => {
+    for (let i = 0; i < added.length; i++) {
+      hits.push(added[i]);
+      countHit(added[i]);
+    }
+    return added;
+  };
+
+  const step = (dt = 1) => {
+    if (settings.mode === 'light') return [];
+    time += dt;
+    return record(solver ? stepSolver(dt) : stepParticles(dt));
+  };
+
+  const fire = (count) => {
+    if (settings.mode === 'light') return [];
+    const added = [];
+    // Fired hits arrive at the beam's mean rate, so a fast-forwarded run keeps a time line
+    const interval = 1 / beam().spawnRate;
+    for (let i = 0; i < count; i++) {
+      time += interval;
+      if (solver) {
+        const hit = solverDetection();
+        if (hit) added.push(hit);
+      } else {
+        const particle = createParticle();
+        added.push(hitFromParticle(particle));
+        // Only the last few fired trajectories would survive in the trace list
+        if (particle.pilot && i >= count - MAX_TRACES) keepTrace(particle);
+      }
+    }
+    return record(added);
+  };
+
+  // Settings changes take effect for the next particles; geometry, mode or solver
+  // changes rebuild the solver, and geometry changes drop the pilot-wave streamlines
+  const configure = (partial) => {
+    const previous = settings;
+    settings = fitted({ ...settings, ...partial });
+    if (settings.params !== previous.params) {
+      guide = null;
+      traces = [];
+    }
+    if (
+      settings.params !== previous.params
+      || settings.mode !== previous.mode
+      || settings.solverOn !== previous.solverOn
+    ) {
+      rebuildSolver();
+    }
+  };
+
+  // Drop particles in flight and recorded hits, keeping the random stream
+  const clear = () => {
+    particles = [];
+    traces = [];
+    hits = [];
+    histograms = {};
+    time = 0;
+    if (solver) solver.reset();
+    packetChecked = false;
+    packetOutcome = 'coherent';
+  };
+
+  // Clear and restart the random stream; the same seed reproduces the same run
+  const reset = (newSeed = seed) => {
+    seed = newSeed >>> 0;
+    random = createRng(seed);
+    nextId = 1;
+    clear();
+  };
+
+  // Replace the recorded hits, e.g. with an imported run; time resumes after the last hit
+  const load = (loadedHits) => {
+    clear();
+    hits = loadedHits.map(hit => ({ ...hit }));
+    recountHistograms();
+    time = hits.reduce((latest, hit) => Math.max(latest, hit.t ?? 0), 0);
+  };
+
+  // Add hits recorded elsewhere, e.g. streamed from a classroom presenter
+  const append = (moreHits) => record(moreHits.map(hit => ({ ...hit })));
+
+  // Delayed choice: assign tags to hits recorded before the analyser setting was chosen
+  const resolvePendingTags = (erase) => {
+    settings = { ...settings, eraserOn: erase };
+    hits = hits.map(hit => (hit.tag === null ? { ...hit, tag: resolveTag(hit, erase) } : hit));
+    recountHistograms();
+  };
+
+  // Running counts of all hits ('all') or of one eraser tag, binned at 1 px
+  const histogram = (view = 'all') =>
+    histograms[view] || createBinnedCounts(SCREEN_Y_MIN, SCREEN_Y_MAX);
+
+  rebuildSolver();
+
+  return {
+    get settings() { return settings; },
+    get seed() { return seed; },
+    get particles() { return particles; },
+    get traces() { return traces; },
+    get hits() { return hits; },
+    get time() { return time; },
+    get solver() { return solver; },
+    configure,
+    clear,
+    reset,
+    step,
+    fire,
+    load,
+    append,
+    resolvePendingTags,
+    histogram,
+  };
+};
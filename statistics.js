@@ -0,0 +1,221 @@
+// Histogram and goodness-of-fit statistics for screen hits against theory curves
+
+// Running bin counts on [yMin, yMax), updated one hit at a time so long runs never
+// have to revisit every recorded hit. Resolution is the bin width in px.
+export const createBinnedCounts = (yMin, yMax, resolution = 1) => {
+  const counts = new Float64Array(Math.ceil((yMax - yMin) / resolution));
+  let total = 0;
+
+  const add = (y) => {
+    if (y < yMin || y >= yMax) return;
+    counts[Math.floor((y - yMin) / resolution)]++;
+    total++;
+  };
+
+  const clear = () => {
+    counts.fill(0);
+    total = 0;
+  };
+
+  return {
+    yMin,
+    yMax,
+    resolution,
+    counts,
+    get total() { return total; },
+    add,
+    clear,
+  };
+};
+
+// Merge running counts into display bins of binSize (a multiple of their resolution),
+// each a probability density with a Poisson (√n) error bar, so it can be drawn on the
+// same scale as a theory pdf
+export const histogramFromCounts = (binned, binSize) => {
+  const { yMin, yMax, resolution, counts, total } = binned;
+  const group = Math.max(1, Math.round(binSize / resolution));
+  const width = group * resolution;
+  const scale = total > 0 ? 1 / (total * width) : 0;
+  const bins = [];
+  for (let start = 0; start < counts.length; start += group) {
+    let count = 0;
+    for (let i = start; i < Math.min(counts.length, start + group); i++) count += counts[i];
+    bins.push({
+      y: Math.min(yMax, yMin + start * resolution),
+      count,
+      density: count * scale,
+      error: Math.sqrt(count) * scale,
+    });
+  }
+  return { bins, total, binSize: width };
+};
+
+// Normalize an intensity curve to a probability density on [yMin, yMax]; the cdf is
+// tabulated on a fine grid and interpolated
+export const theoryDistribution = (intensityAt, yMin, yMax, step = 0.5) => {
+  const n = Math.ceil((yMax - yMin) / step);
+  const cumulative = new Float64Array(n + 1);
+  let previous = Math.max(0, intensityAt(yMin));
+  for (let i = 1; i <= n; i++) {
+    const current = Math.max(0, intensityAt(Math.min(yMax, yMin + i * step)));
+    cumulative[i] = cumulative[i - 1] + ((previous + current) / 2) * step;
+    previous = current;
+  }
+  const area = cumulative[n] || 1;
+  const cdf = (y) => {
+    if (y <= yMin) return 0;
+    if (y >= yMax) return 1;
+    const position = (y - yMin) / step;
+    const i = Math.floor(position);
+    const value = cumulative[i] + (cumulative[Math.min(n, i + 1)] - cumulative[i]) * (position - i);
+    return value / area;
+  };
+  const pdf = (y) => (y < yMin || y > yMax ? 0 : Math.max(0, intensityAt(y)) / area);
+  return { pdf, cdf };
+};
+
+// ln Γ(x), Lanczos approximation
+const logGamma = (x) => {
+  const c = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  c.forEach(coefficient => { series += coefficient / ++y; });
+  return -tmp + Math.log((2.5066282746310005 * series) / x);
+};
+
+// Regularized upper incomplete gamma Q(a, x): series below a + 1, continued fraction above
+const gammaQ = (a, x) => {
+  if (x <= 0) return 1;
+  const gln = logGamma(a);
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n < 500; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-12) break;
+    }
+    return 1 - sum * Math.exp(-x + a * Math.log(x) - gln);
+  }
+  let b = x + 1 - a;
+  let c = 1e300;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = b + an / c;
+    if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+  return Math.exp(-x + a * Math.log(x) - gln) * h;
+};
+
+// Pearson χ² of a histogram against a theory cdf. Bins expecting fewer than five
+// counts are pooled with their neighbours so the χ² approximation holds.
+export const chiSquareTest = (histogram, cdf) => {
+  const { bins, total, binSize } = histogram;
+  if (total === 0) return null;
+  let chi2 = 0;
+  let groups = 0;
+  let observed = 0;
+  let expected = 0;
+  bins.forEach(({ y, count }, i) => {
+    observed += count;
+    expected += total * (cdf(y + binSize) - cdf(y));
+    if (expected >= 5 || i === bins.length - 1) {
+      if (expected > 0) {
+        chi2 += ((observed - expected) ** 2) / expected;
+        groups++;
+      }
+      observed = 0;
+      expected = 0;
+    }
+  });
+  const dof = Math.max(1, groups - 1);
+  return { chi2, dof, pValue: gammaQ(dof / 2, chi2 / 2) };
+};
+
+// Kolmogorov distribution tail Q_KS(λ) = 2 Σ (−1)^{j−1} e^{−2 j² λ²}
+const kolmogorovQ = (lambda) => {
+  if (lambda < 0.2) return 1;
+  let sum = 0;
+  for (let j = 1; j <= 100; j++) {
+    const term = 2 * (j % 2 === 1 ? 1 : -1) * Math.exp(-2 * j * j * lambda * lambda);
+    sum += term;
+    if (Math.abs(term) < 1e-10) break;
+  }
+  return Math.min(1, Math.max(0, sum));
+};
+
+// Kolmogorov–Smirnov test on running bin counts: the empirical cdf is compared with
+// the theory at every bin edge, so D is exact up to the bin resolution
+export const ksTestBinned = (binned, cdf) => {
+  const { yMin, resolution, counts, total } = binned;
+  if (total === 0) return null;
+  let d = 0;
+  let seen = 0;
+  for (let i = 0; i < counts.length; i++) {
+    const lower = cdf(yMin + i * resolution);
+    seen += counts[i];
+    const upper = cdf(yMin + (i + 1) * resolution);
+    d = Math.max(d, Math.abs((seen - counts[i]) / total - lower), Math.abs(seen / total - upper));
+  }
+  const root = Math.sqrt(total);
+  return { d, pValue: kolmogorovQ((root + 0.12 + 0.11 / root) * d) };
+};
+
+// Probability density of a histogram, constant within each bin
+export const histogramPdf = (histogram) => {
+  const { bins, binSize } = histogram;
+  const yMin = bins.length > 0 ? bins[0].y : 0;
+  return (y) => {
+    const bin = bins[Math.floor((y - yMin) / binSize)];
+    return bin ? bin.density : 0;
+  };
+};
+
+// A hand-drawn curve as a density on [yMin, yMax]. Points { y, height } are gathered in
+// 1 px cells (a later stroke over the same cell wins), gaps between drawn cells are
+// bridged linearly and nothing is assumed outside the drawn range. Null until the
+// drawing covers at least two cells with some height.
+export const drawnDistribution = (points, yMin, yMax) => {
+  const n = Math.ceil(yMax - yMin);
+  const cells = new Array(n).fill(null);
+  points.forEach(({ y, height }) => {
+    const i = Math.floor(y - yMin);
+    if (i >= 0 && i < n) cells[i] = Math.max(0, height);
+  });
+  const drawn = cells.flatMap((value, i) => (value === null ? [] : [i]));
+  if (drawn.length < 2) return null;
+  const values = new Float64Array(n);
+  drawn.forEach((i, k) => {
+    values[i] = cells[i];
+    const next = drawn[k + 1];
+    for (let j = i + 1; next !== undefined && j < next; j++) {
+      values[j] = cells[i] + ((cells[next] - cells[i]) * (j - i)) / (next - i);
+    }
+  });
+  const area = values.reduce((a, b) => a + b, 0);
+  if (area <= 0) return null;
+  const pdf = (y) => {
+    const i = Math.floor(y - yMin);
+    return i >= 0 && i < n ? values[i] / area : 0;
+  };
+  return { pdf };
+};
+
+// Overlap ∫ min(p, q) dy of two densities, i.e. one minus their total variation
+// distance: 1 for identical shapes, 0 for shapes that share no ground
+export const overlapScore = (p, q, yMin, yMax, step = 0.5) => {
+  let overlap = 0;
+  for (let y = yMin + step / 2; y < yMax; y += step) overlap += Math.min(p(y), q(y)) * step;
+  return Math.min(1, overlap);
+};
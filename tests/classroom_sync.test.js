@@ -0,0 +1,8 @@
+import { describe, it, expect } from 'vitest';
+import { createWebSocketTransport } from '../classroom_sync';
+
+describe('createWebSocketTransport', () => {
+  it.each(['localhost 8787', 'http://localhost:8787', ''])('refuses the relay %j before connecting', (relay) => {
+    expect(() => createWebSocketTransport(relay, 'lecture')).toThrow();
+  });
+});
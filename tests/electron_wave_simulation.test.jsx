@@ -0,0 +1,364 @@
+// @vitest-environment jsdom
+import React, { act, createRef } from 'react';
+import { createRoot } from 'react-dom/client';
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import ElectronWaveSimulation from '../electron_wave_simulation_v4';
+import { DEFAULT_PARAMS } from '../wave_physics';
+import { RUN_FORMAT } from '../run_io';
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+// jsdom has no canvas: a 2D context that accepts every call and draws nothing
+const createContext2d = () => new Proxy({}, {
+  get: (target, key) => {
+    if (key in target) return target[key];
+    if (key === 'createImageData' || key === 'getImageData') {
+      return (width, height) => ({ width, height, data: new Uint8ClampedArray(4 * width * height) });
+    }
+    return () => {};
+  },
+  set: (target, key, value) => {
+    target[key] = value;
+    return true;
+  },
+});
+
+// Reduced motion keeps the light demo's waves still, so its running screen can be snapshot
+const reducedMotion = (matches) => {
+  window.matchMedia = (query) => ({
+    matches: matches && query.includes('reduce'),
+    media: query,
+    addEventListener: () => {},
+    removeEventListener: () => {},
+  });
+};
+
+beforeAll(() => {
+  window.HTMLCanvasElement.prototype.getContext = createContext2d;
+});
+
+let root = null;
+let container = null;
+
+const render = async (props = {}) => {
+  const ref = createRef();
+  container = document.createElement('div');
+  document.body.appendChild(container);
+  root = createRoot(container);
+  await act(async () => {
+    root.render(<ElectronWaveSimulation ref={ref} locale="en" urlParams={false} shortcuts="off" seed={1} {...props}/>);
+  });
+  return ref;
+};
+
+afterEach(async () => {
+  await act(async () => root.unmount());
+  container.remove();
+  delete window.matchMedia;
+});
+
+const modeButton = (index) => container.querySelector(`button[aria-keyshortcuts="${index}"]`);
+const observerButton = () => container.querySelector('button[aria-keyshortcuts="O"]');
+const click = element => act(async () => { element.click(); });
+
+// useId values depend on how many components mounted before; they are not part of the
+// picture, and neither are the last digits of a coordinate
+const svgMarkup = svg => svg.outerHTML
+  .replace(/:r[0-9a-z]+:/g, ':id:')
+  .replace(/\bewsr[0-9a-z]+-/g, 'ews-id-')
+  .replace(/\d+\.\d+(e-\d+)?/g, number => String(Number(Number(number).toFixed(3))));
+
+describe('mode and observer switching', () => {
+  it('selects a demo from its button', async () => {
+    await render();
+    expect(modeButton(1).getAttribute('aria-pressed')).toBe('true');
+    await click(modeButton(3));
+    expect(modeButton(3).getAttribute('aria-pressed')).toBe('true');
+    expect(modeButton(1).getAttribute('aria-pressed')).toBe('false');
+  });
+
+  it('labels the detector switch in the chosen language', async () => {
+    await render({ defaultMode: 'electron', locale: 'ja' });
+    expect(observerButton().textContent).toBe('オフ');
+    await click(observerButton());
+    expect(observerButton().textContent).toBe('オン');
+  });
+
+  it('offers the which-path detector only for electrons', async () => {
+    await render();
+    expect(observerButton()).toBeNull();
+    await click(modeButton(2));
+    expect(observerButton()).toBeNull();
+    await click(modeButton(3));
+    expect(observerButton()).not.toBeNull();
+    await click(modeButton(4));
+    expect(observerButton()).not.toBeNull();
+  });
+
+  it('starts a new run when the detector is switched', async () => {
+    const ref = await render({ defaultMode: 'electron' });
+    let total = 0;
+    await act(async () => { total = await ref.current.fireN(300); });
+    expect(total).toBe(300);
+    await click(observerButton());
+    expect(observerButton().getAttribute('aria-pressed')).toBe('true');
+    await act(async () => { total = await ref.current.fireN(0); });
+    expect(total).toBe(0);
+  });
+
+  it('clears the detector and the hits when the demo changes', async () => {
+    const ref = await render({ defaultMode: 'electron', defaultObserverOn: true });
+    await act(async () => { await ref.current.fireN(200); });
+    await click(modeButton(4));
+    expect(observerButton().getAttribute('aria-pressed')).toBe('false');
+    let total = null;
+    await act(async () => { total = await ref.current.fireN(0); });
+    expect(total).toBe(0);
+  });
+
+  it('follows a mode set by the parent', async () => {
+    const changes = [];
+    await render({ mode: 'particle', onModeChange: key => changes.push(key) });
+    expect(modeButton(2).getAttribute('aria-pressed')).toBe('true');
+    await act(async () => {
+      root.render(<ElectronWaveSimulation locale="en" urlParams={false} shortcuts="off" seed={1} mode="single"/>);
+    });
+    expect(modeButton(4).getAttribute('aria-pressed')).toBe('true');
+    await click(modeButton(3));
+    expect(changes).toEqual([]);
+  });
+});
+
+describe('distribution panel', () => {
+  const measuredV = () => container.textContent.match(/Fringe visibility V: measured (\S+) \//)[1];
+
+  it('measures the fringe visibility as hits come in', async () => {
+    const ref = await render({ defaultMode: 'electron' });
+    await click(container.querySelector('input[aria-keyshortcuts="D"]'));
+    expect(measuredV()).toBe('—');
+    await act(async () => { await ref.current.fireN(3000); });
+    const first = measuredV();
+    expect(Number(first)).toBeGreaterThan(0.5);
+    await act(async () => { await ref.current.fireN(3000); });
+    expect(Number(measuredV())).toBeGreaterThan(0.5);
+    expect(measuredV()).not.toBe(first);
+  });
+});
+
+describe('demos the page does not offer', () => {
+  const modes = ['light', 'particle', 'electron'];
+
+  it('refuse a lecture script with such a step', async () => {
+    await render({ modes });
+    await openLecture({ steps: [{ mode: 'electron' }, { mode: 'eraser' }] });
+    expect(container.textContent).toContain('Step 2 uses the "eraser" demo, which is not available here');
+    expect(modeButton(1).getAttribute('aria-pressed')).toBe('true');
+  });
+
+  it('are left out of the keyboard help', async () => {
+    await render({ modes, shortcuts: 'page' });
+    expect(container.textContent).toContain('1–3 demos');
+  });
+
+  it('are not mirrored from a presenter', async () => {
+    window.history.replaceState(null, '', '/?classroom=follower&room=modes-test');
+    const presenter = new BroadcastChannel('electron-wave-classroom:modes-test');
+    const ref = await render({ modes, urlParams: true });
+    const send = message => act(async () => {
+      presenter.postMessage({ ...message, from: 'presenter', role: 'presenter' });
+      await new Promise(resolve => setTimeout(resolve, 20));
+    });
+    await send({ type: 'state', state: { mode: 'eraser' } });
+    await send({ type: 'snapshot', run: 1, hits: [{ t: 1, y: 170 }] });
+    presenter.close();
+    window.history.replaceState(null, '', '/');
+    expect(container.textContent).toContain('The presenter is showing the "eraser" demo, which is not available here');
+    expect(modeButton(1).getAttribute('aria-pressed')).toBe('true');
+    let total = null;
+    await act(async () => { total = await ref.current.fireN(0); });
+    expect(total).toBe(0);
+  });
+});
+
+describe('coherence controls', () => {
+  const labelled = text => Array.from(container.querySelectorAll('label, div'))
+    .find(element => element.firstElementChild && element.firstElementChild.textContent === text);
+
+  it('are left out in eraser mode', async () => {
+    await render({ defaultMode: 'electron' });
+    expect(container.textContent).toContain('Coherence:');
+    await click(modeButton(5));
+    expect(container.textContent).not.toContain('Coherence:');
+  });
+
+  it('hold the source coherent for Bohmian trajectories, with a coherent theory', async () => {
+    await render({ defaultMode: 'electron', defaultParams: { ...DEFAULT_PARAMS, sourceWidth: 30 } });
+    const sourceWidth = () => labelled('Source width s:').querySelector('input');
+    const theoryV = () => Number(container.textContent.match(/Fringe visibility V: measured \S+ \/ theory (\d+(\.\d+)?)/)[1]);
+    await click(container.querySelector('input[aria-keyshortcuts="D"]'));
+    const washedOut = theoryV();
+    expect(sourceWidth().disabled).toBe(false);
+    await click(Array.from(container.querySelectorAll('label'))
+      .find(label => label.textContent.startsWith('Bohmian')).querySelector('input'));
+    expect(sourceWidth().disabled).toBe(true);
+    expect(labelled('Decoherence rate Γ:').querySelector('input').disabled).toBe(false);
+    expect(theoryV()).toBeGreaterThan(washedOut);
+  });
+});
+
+describe('classroom', () => {
+  afterEach(() => window.history.replaceState(null, '', '/'));
+
+  it.each(['localhost 8787', 'http://localhost:8787'])('stays off with the relay %j', async (relay) => {
+    window.history.replaceState(null, '', `/?classroom=follower&relay=${encodeURIComponent(relay)}`);
+    await render({ urlParams: true });
+    expect(modeButton(1)).not.toBeNull();
+    expect(container.querySelector('option[value="follower"]').parentElement.value).toBe('off');
+    expect(container.textContent).toContain('Could not join the classroom');
+  });
+});
+
+describe('engine settings', () => {
+  it('builds the packet solver once its checkbox is ticked, under StrictMode too', async () => {
+    const ref = createRef();
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    root = createRoot(container);
+    await act(async () => {
+      root.render(
+        <React.StrictMode>
+          <ElectronWaveSimulation ref={ref} locale="en" urlParams={false} shortcuts="off" seed={1} defaultMode="electron"/>
+        </React.StrictMode>
+      );
+    });
+    const canvases = () => container.querySelectorAll('canvas[aria-hidden="true"]').length;
+    const before = canvases();
+    await click(Array.from(container.querySelectorAll('label'))
+      .find(label => label.textContent.startsWith('Wave-packet solver')).querySelector('input'));
+    expect(canvases()).toBe(before + 1);
+    let total = 0;
+    await act(async () => { total = await ref.current.fireN(10); });
+    expect(total).toBe(10);
+  });
+});
+
+describe('ref handle', () => {
+  it('shows and replays a seed passed to reset', async () => {
+    const ref = await render({ defaultMode: 'electron' });
+    const seedInput = () => container.querySelector('input[type="number"]');
+    await act(async () => { ref.current.reset(42); });
+    expect(seedInput().value).toBe('42');
+    await act(async () => { await ref.current.fireN(50); });
+    const first = container.querySelector('svg[role="img"]').outerHTML;
+    await act(async () => { ref.current.reset(); });
+    expect(seedInput().value).toBe('42');
+    await act(async () => { await ref.current.fireN(50); });
+    expect(container.querySelector('svg[role="img"]').outerHTML).toBe(first);
+  });
+});
+
+// Pick a file in one of the hidden file inputs and wait for it to be read
+const pickFile = async (accept, name, content) => {
+  const input = container.querySelector(`input[type="file"][accept="${accept}"]`);
+  // jsdom's File cannot be read as text; the imports only need the name and the text
+  const file = { name, text: async () => JSON.stringify(content) };
+  Object.defineProperty(input, 'files', { value: [file], configurable: true });
+  await act(async () => {
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    await file.text();
+  });
+};
+const importRun = run => pickFile('.json,.csv,application/json,text/csv', 'run.json', run);
+const openLecture = script => pickFile('.json,application/json', 'lecture.json', script);
+
+const RUN = { format: RUN_FORMAT, mode: 'electron', seed: 3, params: DEFAULT_PARAMS, hits: [{ t: 1, y: 170 }, { t: 2, y: 180 }] };
+
+describe('run import', () => {
+  it('loads a run of an offered demo', async () => {
+    await render();
+    await importRun(RUN);
+    expect(container.textContent).toContain('run.json: loaded 2 hits');
+    expect(modeButton(3).getAttribute('aria-pressed')).toBe('true');
+  });
+
+  it.each([
+    ['an unknown demo', {}, 'tachyon'],
+    ['a demo the page does not offer', { modes: ['light', 'particle', 'electron'] }, 'eraser'],
+  ])('refuses a run of %s', async (_, props, mode) => {
+    await render(props);
+    await importRun({ ...RUN, mode });
+    expect(container.textContent).toContain(`Import failed: the "${mode}" demo is not available here`);
+    expect(modeButton(1).getAttribute('aria-pressed')).toBe('true');
+  });
+
+  it('brings the run parameters into the slider ranges', async () => {
+    const changes = [];
+    await render({ onParamsChange: next => changes.push(next) });
+    await importRun({ ...RUN, params: { ...DEFAULT_PARAMS, wavelength: 1000, slitWidth: -3 } });
+    expect(changes.at(-1)).toMatchObject({ wavelength: 30, slitWidth: 4 });
+  });
+});
+
+// Openings drawn in the barrier of the experiment view
+const slitCount = () => container.querySelectorAll('svg[role="img"] rect[fill="#0a0a15"]').length;
+
+describe('eraser geometry', () => {
+  it.each([
+    ['a default mode', { defaultMode: 'eraser', defaultParams: { ...DEFAULT_PARAMS, slitCount: 1 } }],
+    ['a controlled mode', { mode: 'eraser', defaultParams: { ...DEFAULT_PARAMS, slitCount: 5 } }],
+  ])('runs on two slits when set up with %s', async (_, props) => {
+    const ref = await render(props);
+    expect(slitCount()).toBe(2);
+    let total = 0;
+    await act(async () => { total = await ref.current.fireN(100); });
+    expect(total).toBe(100);
+  });
+
+  it('asks a parent that controls the geometry for two slits', async () => {
+    const changes = [];
+    await render({
+      defaultMode: 'eraser',
+      params: { ...DEFAULT_PARAMS, slitCount: 1 },
+      onParamsChange: next => changes.push(next.slitCount),
+    });
+    expect(slitCount()).toBe(2);
+    expect(changes).toEqual([2]);
+  });
+
+  it('keeps two slits when the parent switches to the eraser', async () => {
+    await render({ mode: 'electron', defaultParams: { ...DEFAULT_PARAMS, slitCount: 1 } });
+    expect(slitCount()).toBe(1);
+    await act(async () => {
+      root.render(<ElectronWaveSimulation locale="en" urlParams={false} shortcuts="off" seed={1} mode="eraser"/>);
+    });
+    expect(slitCount()).toBe(2);
+  });
+});
+
+describe('SVG snapshots', () => {
+  it('light: the running interference on the screen and the theory panel', async () => {
+    reducedMotion(true);
+    const ref = await render({ defaultMode: 'light' });
+    await click(container.querySelector('input[aria-keyshortcuts="D"]'));
+    await act(async () => { ref.current.start(); });
+    const [experiment, histogram] = container.querySelectorAll('svg[role="img"]');
+    expect(svgMarkup(experiment)).toMatchSnapshot();
+    expect(svgMarkup(histogram)).toMatchSnapshot();
+    await act(async () => { ref.current.stop(); });
+  });
+
+  it.each([
+    ['particle', {}],
+    ['electron', {}],
+    ['electron', { defaultObserverOn: true }],
+    ['single', {}],
+    ['eraser', {}],
+  ])('%s %o: the experiment and the histogram of a seeded run', async (mode, props) => {
+    const ref = await render({ defaultMode: mode, ...props });
+    await click(container.querySelector('input[aria-keyshortcuts="D"]'));
+    await act(async () => { await ref.current.fireN(2000); });
+    const [experiment, histogram] = container.querySelectorAll('svg[role="img"]');
+    expect(svgMarkup(experiment)).toMatchSnapshot();
+    expect(svgMarkup(histogram)).toMatchSnapshot();
+  });
+});
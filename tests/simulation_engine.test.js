@@ -0,0 +1,239 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  CENTER_Y,
+  SCREEN_Y_MIN,
+  SCREEN_Y_MAX,
+  DEFAULT_PARAMS,
+  constrainParams,
+  coherentParams,
+  calculateInterference,
+  calculateClassical,
+  calculatePartial,
+  getDetectionStrength,
+  calculateEraserTotal,
+  calculateEraserSubset,
+} from '../wave_physics';
+import {
+  createRng,
+  createSimulationEngine,
+  sampleTargetY,
+  sampleByInversion,
+} from '../simulation_engine';
+import {
+  createBinnedCounts,
+  histogramFromCounts,
+  theoryDistribution,
+  chiSquareTest,
+} from '../statistics';
+
+const HITS = 20000;
+
+// The packet solver's screen profiles can be made to come out empty
+const solverProfile = vi.hoisted(() => ({ empty: false }));
+vi.mock('../schrodinger_solver', async (importOriginal) => {
+  const original = await importOriginal();
+  return {
+    ...original,
+    sampleProfile: (...args) => (solverProfile.empty ? null : original.sampleProfile(...args)),
+  };
+});
+
+// χ² of running counts against a theory curve, in the 4 px bins of the distribution panel
+const fitOf = (binned, intensityAt, params) => chiSquareTest(
+  histogramFromCounts(binned, 4),
+  theoryDistribution(y => intensityAt(y, params), SCREEN_Y_MIN, SCREEN_Y_MAX).cdf,
+);
+
+const sampled = (sample, count) => {
+  const binned = createBinnedCounts(SCREEN_Y_MIN, SCREEN_Y_MAX);
+  for (let i = 0; i < count; i++) binned.add(sample());
+  return binned;
+};
+
+const gaussian = (scale) => y => scale * Math.exp(-((y - 140) ** 2) / (2 * 15 * 15));
+
+describe('screen position samplers', () => {
+  it('sampleTargetY follows a density below 1', () => {
+    const random = createRng(1);
+    const density = gaussian(0.9);
+    const binned = sampled(() => sampleTargetY(density, DEFAULT_PARAMS, random), HITS);
+    expect(fitOf(binned, density).pValue).toBeGreaterThan(1e-3);
+  });
+
+  it('sampleTargetY falls back without favouring any position when draws keep missing', () => {
+    const random = createRng(2);
+    const density = gaussian(1e-4);
+    const ys = Array.from({ length: 4000 }, () => sampleTargetY(density, DEFAULT_PARAMS, random));
+    expect(ys.filter(y => y === CENTER_Y)).toHaveLength(0);
+    const binned = createBinnedCounts(SCREEN_Y_MIN, SCREEN_Y_MAX);
+    ys.forEach(binned.add);
+    expect(fitOf(binned, density).pValue).toBeGreaterThan(1e-3);
+  });
+
+  it('sampleByInversion follows the density at any scale', () => {
+    const random = createRng(3);
+    const binned = sampled(() => sampleByInversion(gaussian(1e-6), DEFAULT_PARAMS, random), HITS);
+    expect(fitOf(binned, gaussian(1)).pValue).toBeGreaterThan(1e-3);
+  });
+
+  it('sampleByInversion is uniform over the screen for a zero density', () => {
+    const random = createRng(4);
+    const binned = sampled(() => sampleByInversion(() => 0, DEFAULT_PARAMS, random), HITS);
+    expect(fitOf(binned, () => 1).pValue).toBeGreaterThan(1e-3);
+  });
+});
+
+describe('createSimulationEngine', () => {
+  it('reproduces a run from its seed', () => {
+    const run = (seed) => {
+      const engine = createSimulationEngine({ mode: 'electron' }, seed);
+      engine.fire(200);
+      return engine.hits;
+    };
+    expect(run(7)).toEqual(run(7));
+    expect(run(7)).not.toEqual(run(8));
+  });
+
+  it('records nothing in light mode', () => {
+    const engine = createSimulationEngine({ mode: 'light' }, 1);
+    expect(engine.fire(100)).toEqual([]);
+    expect(engine.hits).toHaveLength(0);
+  });
+
+  it('stamps fired hits with increasing times', () => {
+    const engine = createSimulationEngine({ mode: 'single' }, 1);
+    engine.fire(50);
+    const times = engine.hits.map(hit => hit.t);
+    expect(times[0]).toBeGreaterThan(0);
+    times.slice(1).forEach((t, i) => expect(t).toBeGreaterThan(times[i]));
+  });
+
+  it('fires packet-solver detections, and none from an empty screen profile', () => {
+    const engine = createSimulationEngine({ mode: 'electron', solverOn: true }, 3);
+    expect(engine.fire(20)).toHaveLength(20);
+    solverProfile.empty = true;
+    try {
+      expect(engine.fire(20)).toEqual([]);
+    } finally {
+      solverProfile.empty = false;
+    }
+    expect(engine.hits).toHaveLength(20);
+  });
+
+  it('clears its hits on reset and replays the same stream', () => {
+    const engine = createSimulationEngine({ mode: 'electron' }, 5);
+    engine.fire(100);
+    const first = engine.hits;
+    engine.reset(5);
+    expect(engine.hits).toHaveLength(0);
+    expect(engine.histogram().total).toBe(0);
+    engine.fire(100);
+    expect(engine.hits).toEqual(first);
+  });
+});
+
+// Seeded runs of every demo against the theory the distribution panel draws for it
+describe.each([
+  ['particle', {}, calculateClassical],
+  ['electron', {}, calculateInterference],
+  ['electron', { observerOn: true }, calculateClassical],
+  ['single', {}, calculateInterference],
+  ['single', { observerOn: true }, calculateClassical],
+  ['eraser', {}, calculateEraserTotal],
+])('%s mode %o', (mode, settings, theory) => {
+  it(`fits its theory over ${HITS} hits`, () => {
+    const engine = createSimulationEngine({ mode, ...settings }, 11);
+    engine.fire(HITS);
+    expect(fitOf(engine.histogram(), theory, DEFAULT_PARAMS).pValue).toBeGreaterThan(1e-3);
+  });
+});
+
+// Gratings top out off the axis, and a partially coherent source is sampled point by point
+describe.each([
+  ['electron', { slitCount: 3 }, calculateInterference],
+  ['electron', { slitCount: 5 }, calculateInterference],
+  ['electron', { slitCount: 10 }, calculateInterference],
+  ['particle', { slitCount: 10 }, calculateClassical],
+  ['electron', { slitCount: 5, sourceWidth: 30 }, calculateInterference],
+  ['electron', { wavelengthSpread: 0.15 }, calculateInterference],
+])('%s mode with %o', (mode, change, theory) => {
+  it(`fits its theory over ${HITS} hits`, () => {
+    const params = constrainParams({ ...DEFAULT_PARAMS, ...change });
+    const engine = createSimulationEngine({ mode, params }, 17);
+    engine.fire(HITS);
+    expect(fitOf(engine.histogram(), theory, params).pValue).toBeGreaterThan(1e-3);
+  });
+});
+
+// A weak measurement detects some of the particles; the rest still interfere
+describe.each([0.25, 0.5, 0.75])('electron mode at measurement strength %s', (strength) => {
+  it(`fits the mixed theory over ${HITS} hits`, () => {
+    const engine = createSimulationEngine({ mode: 'electron', observerOn: true, measurementStrength: strength }, 19);
+    engine.fire(HITS);
+    const theory = (y, params) => calculatePartial(y, params, strength);
+    expect(fitOf(engine.histogram(), theory, DEFAULT_PARAMS).pValue).toBeGreaterThan(1e-3);
+  });
+});
+
+// The environment picks up the path of some particles in flight, with no detector at all
+describe.each([0.01, 0.03])('electron mode at decoherence rate %s', (decoherenceRate) => {
+  it(`fits the mixed theory over ${HITS} hits`, () => {
+    const params = { ...DEFAULT_PARAMS, decoherenceRate };
+    const engine = createSimulationEngine({ mode: 'electron', params }, 23);
+    engine.fire(HITS);
+    const strength = getDetectionStrength('electron', false, 0, params);
+    expect(strength).toBeGreaterThan(0);
+    expect(strength).toBeLessThan(1);
+    const theory = (y, at) => calculatePartial(y, at, strength);
+    expect(fitOf(engine.histogram(), theory, params).pValue).toBeGreaterThan(1e-3);
+  });
+});
+
+// The polarizers tag two slits; any other count is run on a double slit
+describe.each([1, 5])('eraser mode set up with %s slits', (slitCount) => {
+  it(`fits the double-slit theory over ${HITS} hits`, () => {
+    const params = constrainParams({ ...DEFAULT_PARAMS, slitCount });
+    const engine = createSimulationEngine({ mode: 'eraser', params }, 29);
+    expect(engine.settings.params.slitCount).toBe(2);
+    engine.fire(HITS);
+    expect(fitOf(engine.histogram(), calculateEraserTotal, DEFAULT_PARAMS).pValue).toBeGreaterThan(1e-3);
+  });
+
+  it('keeps a double slit when reconfigured', () => {
+    const engine = createSimulationEngine({ mode: 'electron' }, 29);
+    engine.configure({ mode: 'eraser', params: { ...DEFAULT_PARAMS, slitCount } });
+    expect(engine.settings.params.slitCount).toBe(2);
+    expect(engine.fire(10)).toHaveLength(10);
+  });
+});
+
+// Pilot-wave particles ride streamlines of the guiding wave and still build up its |ψ|²
+describe.each([
+  ['electron', {}, calculateInterference],
+  ['electron', { slitCount: 5 }, calculateInterference],
+  ['electron', { wavelength: 20, slitSpacing: 30 }, calculateInterference],
+  ['eraser', {}, calculateEraserTotal],
+  // One coherent guiding wave, whatever the source
+  ['electron', { sourceWidth: 30, wavelengthSpread: 0.15 }, (y, params) => calculateInterference(y, coherentParams(params))],
+])('Bohmian %s mode with %o', (mode, change, theory) => {
+  it(`fits its theory over ${HITS} hits`, () => {
+    const params = constrainParams({ ...DEFAULT_PARAMS, ...change });
+    const engine = createSimulationEngine({ mode, params, bohmian: true }, 31);
+    engine.fire(HITS);
+    expect(fitOf(engine.histogram(), theory, params).pValue).toBeGreaterThan(1e-3);
+  });
+});
+
+describe('eraser coincidence subsets', () => {
+  it.each([
+    [false, ['H', 'V']],
+    [true, ['plus', 'minus']],
+  ])('fit their theory with the eraser %s', (eraserOn, subsets) => {
+    const engine = createSimulationEngine({ mode: 'eraser', eraserOn }, 13);
+    engine.fire(HITS);
+    subsets.forEach((subset) => {
+      const theory = (y, params) => calculateEraserSubset(y, params, subset);
+      expect(fitOf(engine.histogram(subset), theory, DEFAULT_PARAMS).pValue).toBeGreaterThan(1e-3);
+    });
+  });
+});
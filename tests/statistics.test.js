@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createBinnedCounts,
+  histogramFromCounts,
+  theoryDistribution,
+  chiSquareTest,
+  ksTestBinned,
+  drawnDistribution,
+  overlapScore,
+} from '../statistics';
+
+// Counts that follow a pdf exactly, one bin per px
+const idealCounts = (pdf, yMin, yMax, total) => {
+  const binned = createBinnedCounts(yMin, yMax);
+  for (let y = yMin; y < yMax; y++) {
+    const n = Math.round(pdf(y + 0.5) * total);
+    for (let i = 0; i < n; i++) binned.add(y + 0.5);
+  }
+  return binned;
+};
+
+describe('histogramFromCounts', () => {
+  const binned = createBinnedCounts(0, 10);
+  [0.5, 1.5, 1.7, 4.2, 9.9, 12].forEach(binned.add);
+
+  it('merges running counts into display bins', () => {
+    const histogram = histogramFromCounts(binned, 4);
+    expect(histogram.total).toBe(5);
+    expect(histogram.binSize).toBe(4);
+    expect(histogram.bins.map(bin => bin.y)).toEqual([0, 4, 8]);
+    expect(histogram.bins.map(bin => bin.count)).toEqual([3, 1, 1]);
+  });
+
+  it('gives densities that integrate to one, with √n errors', () => {
+    const histogram = histogramFromCounts(binned, 2);
+    const area = histogram.bins.reduce((sum, bin) => sum + bin.density * histogram.binSize, 0);
+    expect(area).toBeCloseTo(1, 12);
+    histogram.bins.forEach((bin) => {
+      expect(bin.error).toBeCloseTo(Math.sqrt(bin.count) / (5 * 2), 12);
+    });
+  });
+
+  it('is all zeros without hits', () => {
+    const histogram = histogramFromCounts(createBinnedCounts(0, 10), 2);
+    expect(histogram.total).toBe(0);
+    expect(histogram.bins.every(bin => bin.density === 0 && bin.error === 0)).toBe(true);
+  });
+});
+
+describe('theoryDistribution', () => {
+  const { pdf, cdf } = theoryDistribution(y => Math.exp(-((y - 50) ** 2) / 200), 0, 100);
+
+  it('has a cdf rising from 0 to 1', () => {
+    expect(cdf(0)).toBe(0);
+    expect(cdf(100)).toBe(1);
+    expect(cdf(50)).toBeCloseTo(0.5, 6);
+    for (let y = 0; y < 100; y += 2.5) expect(cdf(y + 2.5)).toBeGreaterThanOrEqual(cdf(y));
+  });
+
+  it('has a pdf with unit area', () => {
+    let area = 0;
+    for (let y = 0.05; y < 100; y += 0.1) area += pdf(y) * 0.1;
+    expect(area).toBeCloseTo(1, 3);
+  });
+});
+
+describe('goodness of fit', () => {
+  const shape = y => 1 + Math.cos((2 * Math.PI * y) / 40);
+  const theory = theoryDistribution(shape, 0, 200);
+
+  it('accepts counts that follow the theory', () => {
+    const binned = idealCounts(theory.pdf, 0, 200, 20000);
+    expect(chiSquareTest(histogramFromCounts(binned, 4), theory.cdf).pValue).toBeGreaterThan(0.99);
+    expect(ksTestBinned(binned, theory.cdf).pValue).toBeGreaterThan(0.99);
+  });
+
+  it('rejects counts from another shape', () => {
+    const flat = theoryDistribution(() => 1, 0, 200);
+    const binned = idealCounts(flat.pdf, 0, 200, 20000);
+    expect(chiSquareTest(histogramFromCounts(binned, 4), theory.cdf).pValue).toBeLessThan(1e-6);
+    expect(ksTestBinned(binned, theory.cdf).pValue).toBeLessThan(1e-6);
+  });
+
+  it('has nothing to say without hits', () => {
+    const binned = createBinnedCounts(0, 200);
+    expect(chiSquareTest(histogramFromCounts(binned, 4), theory.cdf)).toBeNull();
+    expect(ksTestBinned(binned, theory.cdf)).toBeNull();
+  });
+});
+
+describe('drawn predictions', () => {
+  it('scores a drawing of the same shape near 1 and a disjoint one near 0', () => {
+    const points = Array.from({ length: 100 }, (_, i) => ({ y: i + 0.5, height: i < 50 ? 10 : 0 }));
+    const drawn = drawnDistribution(points, 0, 100);
+    const left = y => (y < 50 ? 1 / 50 : 0);
+    const right = y => (y >= 50 ? 1 / 50 : 0);
+    expect(overlapScore(drawn.pdf, left, 0, 100)).toBeCloseTo(1, 6);
+    expect(overlapScore(drawn.pdf, right, 0, 100)).toBeCloseTo(0, 6);
+  });
+
+  it('needs at least two drawn cells', () => {
+    expect(drawnDistribution([{ y: 3, height: 5 }], 0, 100)).toBeNull();
+  });
+});
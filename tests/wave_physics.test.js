@@ -0,0 +1,195 @@
+import { describe, it, expect } from 'vitest';
+import {
+  CENTER_Y,
+  SCREEN_Y_MIN,
+  SCREEN_Y_MAX,
+  BARRIER_TOP,
+  BARRIER_BOTTOM,
+  DEFAULT_PARAMS,
+  PARAM_RANGES,
+  MAX_APERTURE_SPAN,
+  constrainParams,
+  clampParams,
+  getSlitYs,
+  calculateInterference,
+  calculateClassical,
+  calculatePartial,
+  paramsForMode,
+  calculateTagged,
+  calculateEraserTotal,
+  findFirstMinimum,
+  fringeSpacing,
+  fringeVisibility,
+} from '../wave_physics';
+
+const screenYs = (step = 0.5) => {
+  const ys = [];
+  for (let y = SCREEN_Y_MIN; y <= SCREEN_Y_MAX; y += step) ys.push(y);
+  return ys;
+};
+
+describe('calculateInterference', () => {
+  it('is symmetric about the beam axis and 1 on it', () => {
+    expect(calculateInterference(CENTER_Y, DEFAULT_PARAMS)).toBeCloseTo(1, 9);
+    [5, 17.5, 40, 90].forEach((dy) => {
+      expect(calculateInterference(CENTER_Y + dy, DEFAULT_PARAMS))
+        .toBeCloseTo(calculateInterference(CENTER_Y - dy, DEFAULT_PARAMS), 9);
+    });
+  });
+
+  it('has its first minimum about half a fringe spacing off the axis', () => {
+    const offset = findFirstMinimum(DEFAULT_PARAMS) - CENTER_Y;
+    expect(offset).toBeGreaterThan(0.4 * fringeSpacing(DEFAULT_PARAMS));
+    expect(offset).toBeLessThan(0.6 * fringeSpacing(DEFAULT_PARAMS));
+    expect(calculateInterference(CENTER_Y + offset, DEFAULT_PARAMS)).toBeLessThan(0.05);
+  });
+
+  it('shows full-contrast fringes from a coherent source', () => {
+    const visibility = fringeVisibility(y => calculateInterference(y, DEFAULT_PARAMS), DEFAULT_PARAMS);
+    expect(visibility).toBeGreaterThan(0.9);
+  });
+
+  it('loses contrast with a wide source or a wavelength spread', () => {
+    const coherent = fringeVisibility(y => calculateInterference(y, DEFAULT_PARAMS), DEFAULT_PARAMS);
+    [{ sourceWidth: 30 }, { wavelengthSpread: 0.2 }].forEach((change) => {
+      const params = { ...DEFAULT_PARAMS, ...change };
+      expect(fringeVisibility(y => calculateInterference(y, params), params)).toBeLessThan(coherent);
+    });
+  });
+
+  it('stays within [0, 1] over the screen', () => {
+    screenYs().forEach((y) => {
+      const value = calculateInterference(y, DEFAULT_PARAMS);
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThanOrEqual(1 + 1e-9);
+    });
+  });
+});
+
+describe('calculateClassical', () => {
+  it('peaks behind each slit with no fringes between', () => {
+    const params = { ...DEFAULT_PARAMS, slitSpacing: 100 };
+    const [upper, lower] = getSlitYs(params);
+    expect(calculateClassical(upper, params)).toBeGreaterThan(calculateClassical(CENTER_Y, params));
+    expect(calculateClassical(upper, params)).toBeCloseTo(calculateClassical(lower, params), 9);
+    // Monotonic from the centre out to each slit
+    for (let y = CENTER_Y; y < lower; y += 1) {
+      expect(calculateClassical(y + 1, params)).toBeGreaterThanOrEqual(calculateClassical(y, params));
+    }
+  });
+});
+
+// Largest value over the barrier height on a grid much finer than any fringe
+const peakOf = (intensityAt, params) => {
+  let peak = 0;
+  for (let y = BARRIER_TOP; y <= BARRIER_BOTTOM; y += 0.05) peak = Math.max(peak, intensityAt(y, params));
+  return peak;
+};
+
+// Rejection sampling and the screen drawings need curves that top out where they say
+describe.each([
+  [{ slitCount: 1 }],
+  [{ slitCount: 2 }],
+  [{ slitCount: 3 }],
+  [{ slitCount: 5 }],
+  [{ slitCount: 10 }],
+  [{ slitCount: 10, wavelength: 4, slitSpacing: 20, slitWidth: 4, screenDistance: 100 }],
+  [{ slitCount: 5, sourceWidth: 30 }],
+  [{ slitCount: 2, wavelengthSpread: 0.2 }],
+])('pattern peaks for %o', (change) => {
+  const params = constrainParams({ ...DEFAULT_PARAMS, ...change });
+
+  it('normalizes the interference to its largest maximum', () => {
+    const peak = peakOf(calculateInterference, params);
+    expect(peak).toBeLessThanOrEqual(1 + 1e-9);
+    expect(peak).toBeGreaterThan(0.999);
+  });
+
+  it('tops the classical curve out at 0.9', () => {
+    const peak = peakOf(calculateClassical, params);
+    expect(peak).toBeLessThanOrEqual(0.9 + 1e-9);
+    expect(peak).toBeGreaterThan(0.899);
+  });
+});
+
+describe('calculatePartial', () => {
+  const area = (intensityAt) => {
+    let total = 0;
+    for (let y = SCREEN_Y_MIN + 0.25; y < SCREEN_Y_MAX; y += 0.5) total += intensityAt(y) * 0.5;
+    return total;
+  };
+
+  it('is a probability density over the screen at any strength', () => {
+    [0, 0.3, 1].forEach((strength) => {
+      expect(area(y => calculatePartial(y, DEFAULT_PARAMS, strength))).toBeCloseTo(1, 6);
+    });
+  });
+
+  it('mixes the two normalized curves by the measured fraction', () => {
+    const classical = area(y => calculateClassical(y, DEFAULT_PARAMS));
+    const interference = area(y => calculateInterference(y, DEFAULT_PARAMS));
+    [CENTER_Y, CENTER_Y + 20, CENTER_Y - 63].forEach((y) => {
+      expect(calculatePartial(y, DEFAULT_PARAMS, 0.4)).toBeCloseTo(
+        (0.4 * calculateClassical(y, DEFAULT_PARAMS)) / classical
+          + (0.6 * calculateInterference(y, DEFAULT_PARAMS)) / interference,
+        9,
+      );
+    });
+  });
+});
+
+describe('quantum eraser', () => {
+  it('runs on a double slit whatever the slit count', () => {
+    [1, 3, 10].forEach((slitCount) => {
+      const params = constrainParams({ ...DEFAULT_PARAMS, slitCount });
+      expect(paramsForMode('eraser', params).slitCount).toBe(2);
+      expect(paramsForMode('electron', params)).toBe(params);
+      expect(calculateTagged(CENTER_Y + 20, params))
+        .toEqual(calculateTagged(CENTER_Y + 20, paramsForMode('eraser', params)));
+    });
+  });
+
+  it.each([50, 120])('normalizes the total to its peak with slits %s px apart', (slitSpacing) => {
+    const params = { ...DEFAULT_PARAMS, slitSpacing, slitWidth: 20 };
+    const peak = peakOf(calculateEraserTotal, params);
+    expect(peak).toBeLessThanOrEqual(1 + 1e-9);
+    expect(peak).toBeGreaterThan(0.999);
+  });
+});
+
+describe('constrainParams', () => {
+  it('keeps every opening on the barrier', () => {
+    const params = constrainParams({ ...DEFAULT_PARAMS, slitCount: 10, slitSpacing: 120, slitWidth: 40 });
+    expect((params.slitCount - 1) * params.slitSpacing + params.slitWidth).toBeLessThanOrEqual(MAX_APERTURE_SPAN);
+    expect(params.slitWidth).toBeLessThan(params.slitSpacing);
+  });
+
+  it('leaves a single slit alone', () => {
+    const params = { ...DEFAULT_PARAMS, slitCount: 1, slitWidth: 40 };
+    expect(constrainParams(params)).toEqual(params);
+  });
+});
+
+describe('clampParams', () => {
+  it('brings values into the slider ranges', () => {
+    const params = clampParams({ ...DEFAULT_PARAMS, wavelength: 1000, screenDistance: -5, slitCount: 40, decoherenceRate: 'a lot' });
+    expect(params.wavelength).toBe(PARAM_RANGES.wavelength.max);
+    expect(params.screenDistance).toBe(PARAM_RANGES.screenDistance.min);
+    expect(params.slitCount).toBe(PARAM_RANGES.slitCount.max);
+    expect(params.decoherenceRate).toBe(DEFAULT_PARAMS.decoherenceRate);
+  });
+
+  it('keeps single and double slits', () => {
+    expect(clampParams({ ...DEFAULT_PARAMS, slitCount: 1 }).slitCount).toBe(1);
+    expect(clampParams(DEFAULT_PARAMS)).toEqual(DEFAULT_PARAMS);
+    expect(clampParams({ ...DEFAULT_PARAMS, slitCount: 0 }).slitCount).toBe(1);
+  });
+});
+
+describe('fringeSpacing', () => {
+  it('is λL/d for slits and λL/a for a single slit', () => {
+    const { wavelength, screenDistance, slitSpacing, slitWidth } = DEFAULT_PARAMS;
+    expect(fringeSpacing(DEFAULT_PARAMS)).toBeCloseTo((wavelength * screenDistance) / slitSpacing, 9);
+    expect(fringeSpacing({ ...DEFAULT_PARAMS, slitCount: 1 })).toBeCloseTo((wavelength * screenDistance) / slitWidth, 9);
+  });
+});
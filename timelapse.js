@@ -0,0 +1,114 @@
+// Time-lapse of a run: replay in time order, exposures of the first n hits as indexed
+// images (for build-up snapshots and animation export) and the frame plan of an export.
+// Hit times `t` are engine ticks; one tick is a 60 Hz frame at 1× speed.
+import { BARRIER_TOP, BARRIER_BOTTOM } from './wave_physics';
+
+export const TICKS_PER_SECOND = 60;
+
+// Playback speeds of a replay, as multiples of real time
+export const REPLAY_SPEEDS = [1, 3, 10, 30, 100, 300, 1000];
+
+// Hit counts of the build-up snapshots, as in Tonomura's figure
+export const SNAPSHOT_COUNTS = [10, 100, 1000, 10000];
+
+// Hits in time order; hits from one tick keep their recorded order
+export const sortByTime = (hits) => hits
+  .map((hit, index) => ({ hit, index }))
+  .sort((a, b) => (a.hit.t ?? 0) - (b.hit.t ?? 0) || a.index - b.index)
+  .map(({ hit }) => hit);
+
+// Number of time-ordered hits recorded at or before `time`
+export const countAt = (hits, time) => {
+  let lo = 0;
+  let hi = hits.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if ((hits[mid].t ?? 0) <= time) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+};
+
+// Hit counts for the frames of a build-up animation, evenly spaced on a log scale from
+// the first hit to the last so the single dots at the start are not skipped
+export const buildUpCounts = (total, frames) => {
+  if (total === 0) return [];
+  const counts = Array.from({ length: frames }, (_, i) => (
+    Math.round(total ** (frames > 1 ? i / (frames - 1) : 1))
+  ));
+  return [...new Set(counts)];
+};
+
+// Colour ramp of an exposure: background, through the mode colour to near white where
+// the plate saturates. Colours are '#rrggbb'; the result is [r, g, b] per level.
+export const exposurePalette = (background, color, levels) => {
+  const rgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+  const from = rgb(background);
+  const to = rgb(color);
+  return Array.from({ length: levels }, (_, level) => {
+    const x = level / (levels - 1);
+    return from.map((channel, c) => {
+      const lit = channel + (to[c] - channel) * Math.min(1, 2 * x);
+      return Math.round(lit + (255 - lit) * Math.max(0, 2 * x - 1) * 0.6);
+    });
+  });
+};
+
+// Running exposure of the plate from BARRIER_TOP to BARRIER_BOTTOM in a width × height
+// image. Each hit darkens a dot × dot square and the tone saturates like a photographic
+// plate, 1 − e^(−n·DOT_EXPOSURE) for n hits on a pixel. `zOf(hit, index)` places a hit
+// across the plate in [0, 1).
+const DOT_EXPOSURE = 0.35;
+export const createExposure = ({ width, height, levels, dot = 1, zOf }) => {
+  const counts = new Uint16Array(width * height);
+  let added = 0;
+
+  const add = (hits, to) => {
+    const yScale = height / (BARRIER_BOTTOM - BARRIER_TOP);
+    for (let i = added; i < to; i++) {
+      const hit = hits[i];
+      const x0 = Math.min(width - dot, Math.floor(zOf(hit, i) * (width - dot + 1)));
+      const y0 = Math.floor((hit.y - BARRIER_TOP) * yScale - dot / 2);
+      for (let y = Math.max(0, y0); y < Math.min(height, y0 + dot); y++) {
+        for (let x = Math.max(0, x0); x < x0 + dot; x++) {
+          if (counts[y * width + x] < 0xffff) counts[y * width + x]++;
+        }
+      }
+    }
+    added = Math.max(added, to);
+  };
+
+  const pixels = () => {
+    const indices = new Uint8Array(width * height);
+    for (let i = 0; i < counts.length; i++) {
+      if (counts[i] > 0) {
+        indices[i] = Math.max(1, Math.round((levels - 1) * (1 - Math.exp(-counts[i] * DOT_EXPOSURE))));
+      }
+    }
+    return indices;
+  };
+
+  return {
+    width,
+    height,
+    get count() { return added; },
+    add,
+    pixels,
+  };
+};
+
+// Paint indexed pixels into a canvas through a palette
+export const paintIndexed = (canvas, pixels, width, height, palette) => {
+  if (canvas.width !== width) canvas.width = width;
+  if (canvas.height !== height) canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(width, height);
+  for (let i = 0; i < pixels.length; i++) {
+    const [r, g, b] = palette[pixels[i]];
+    image.data[4 * i] = r;
+    image.data[4 * i + 1] = g;
+    image.data[4 * i + 2] = b;
+    image.data[4 * i + 3] = 255;
+  }
+  ctx.putImageData(image, 0, 0);
+};
@@ -0,0 +1,122 @@
+// Physical units for the px geometry of wave_physics, and presets of historical experiments.
+//
+// Real setups cannot be drawn to scale: slits micrometres apart, a screen metres away and a
+// wavelength of picometres. A unit scale therefore gives each axis its own length per px:
+//   aperture  across the slits (slit spacing and width)
+//   distance  along the beam (slit-to-screen distance)
+//   screen    across the screen (fringe spacing and hit positions)
+// and the px wavelength stands for wavelength · aperture · screen / distance, so that the
+// px fringe spacing λL/d times the screen scale is the real fringe spacing.
+
+export const PLANCK = 6.62607015e-34;
+export const SPEED_OF_LIGHT = 299792458;
+export const ELEMENTARY_CHARGE = 1.602176634e-19;
+export const ELECTRON_MASS = 9.1093837015e-31;
+export const ATOMIC_MASS = 1.6605390666e-27;
+
+// What goes through the slits; `quantity` is what the preset readout names it by
+export const PARTICLES = {
+  photon: { mass: 0, quantity: 'energy' },
+  electron: { mass: ELECTRON_MASS, quantity: 'energy' },
+  c60: { mass: 720 * ATOMIC_MASS, quantity: 'speed' },
+};
+
+// de Broglie wavelength h/p (m) of a particle with kinetic energy in eV, relativistic
+export const deBroglieWavelength = (mass, energyEV) => {
+  const energy = energyEV * ELEMENTARY_CHARGE;
+  const restEnergy = mass * SPEED_OF_LIGHT * SPEED_OF_LIGHT;
+  return (PLANCK * SPEED_OF_LIGHT) / Math.sqrt(energy * energy + 2 * energy * restEnergy);
+};
+
+// Kinetic energy (eV) for a wavelength (m); the photon energy hc/λ for massless particles
+export const energyForWavelength = (mass, wavelength) => {
+  const momentumEnergy = (PLANCK * SPEED_OF_LIGHT) / wavelength;
+  const restEnergy = mass * SPEED_OF_LIGHT * SPEED_OF_LIGHT;
+  return (Math.sqrt(momentumEnergy * momentumEnergy + restEnergy * restEnergy) - restEnergy) / ELEMENTARY_CHARGE;
+};
+
+// Speed (m/s) of a slow massive particle with this wavelength, v = h/(mλ)
+export const speedForWavelength = (mass, wavelength) => PLANCK / (mass * wavelength);
+
+// Historical setups: the real geometry (m) and the px geometry that shows it. The values
+// are approximate, as quoted in textbook accounts of the experiments.
+export const PRESETS = {
+  // Young's double slit as a classroom demonstration with the sodium D line
+  young: {
+    particle: 'photon',
+    wavelength: 589e-9,
+    geometry: { slitSpacing: 0.5e-3, slitWidth: 0.1e-3, screenDistance: 1.5, slitCount: 2 },
+    display: { wavelength: 10, slitSpacing: 60, screenDistance: 200 },
+  },
+  // C. Jönsson, Z. Phys. 161, 454 (1961): 50 keV electrons through slits etched in copper foil
+  jonsson: {
+    particle: 'electron',
+    wavelength: deBroglieWavelength(ELECTRON_MASS, 50e3),
+    geometry: { slitSpacing: 1e-6, slitWidth: 0.3e-6, screenDistance: 0.35, slitCount: 2 },
+    display: { wavelength: 10, slitSpacing: 60, screenDistance: 160 },
+  },
+  // A. Tonomura et al., Am. J. Phys. 57, 117 (1989): 50 keV electrons, one at a time, split by
+  // an electron biprism; its two virtual sources are shown as two narrow slits an effective
+  // spacing apart
+  tonomura: {
+    particle: 'electron',
+    wavelength: deBroglieWavelength(ELECTRON_MASS, 50e3),
+    geometry: { slitSpacing: 10e-6, slitWidth: 1e-6, screenDistance: 1.5, slitCount: 2 },
+    display: { wavelength: 10, slitSpacing: 60, screenDistance: 200 },
+  },
+  // M. Arndt et al., Nature 401, 680 (1999): C60 at about 220 m/s through a 100 nm grating.
+  // Two neighbouring grating slits are shown; the first orders sit at the same λL/d and,
+  // with a = d/2, the second orders are missing as in the real grating.
+  c60: {
+    particle: 'c60',
+    wavelength: PLANCK / (PARTICLES.c60.mass * 220),
+    geometry: { slitSpacing: 100e-9, slitWidth: 50e-9, screenDistance: 1.25, slitCount: 2 },
+    display: { wavelength: 7, slitSpacing: 40, screenDistance: 200 },
+  },
+};
+
+export const PRESET_KEYS = Object.keys(PRESETS);
+
+// Lengths per px for each axis of a preset, and the real wavelength per px wavelength
+export const presetScale = (preset) => {
+  const { geometry, display } = preset;
+  const aperture = geometry.slitSpacing / display.slitSpacing;
+  const distance = geometry.screenDistance / display.screenDistance;
+  const realSpacing = (preset.wavelength * geometry.screenDistance) / geometry.slitSpacing;
+  const pxSpacing = (display.wavelength * display.screenDistance) / display.slitSpacing;
+  const screen = realSpacing / pxSpacing;
+  return {
+    particle: preset.particle,
+    aperture,
+    distance,
+    screen,
+    wavelength: (aperture * screen) / distance,
+  };
+};
+
+// The px parameters a preset sets
+export const presetParams = (preset) => ({
+  ...preset.display,
+  slitWidth: Math.round(preset.geometry.slitWidth / presetScale(preset).aperture),
+  slitCount: preset.geometry.slitCount,
+});
+
+const PREFIXES = [
+  [1e9, 'G'], [1e6, 'M'], [1e3, 'k'], [1, ''], [1e-3, 'm'],
+  [1e-6, 'µ'], [1e-9, 'n'], [1e-12, 'p'], [1e-15, 'f'],
+];
+
+// A value as a number between 1 and 1000 and its SI prefix, e.g. 5.4e-12 → { value: 5.4, prefix: 'p' }
+export const siPrefix = (value) => {
+  const magnitude = Math.abs(value);
+  const [factor, prefix] = PREFIXES.find(([f]) => magnitude >= f * 0.9995) || PREFIXES[PREFIXES.length - 1];
+  return { value: value / factor, prefix };
+};
+
+// A round length (1, 2 or 5 × 10ⁿ m) drawn about targetPx long at lengthPerPx
+export const scaleBar = (lengthPerPx, targetPx) => {
+  const rough = lengthPerPx * targetPx;
+  const power = 10 ** Math.floor(Math.log10(rough));
+  const length = [5, 2, 1].map(step => step * power).find(step => step <= rough) || power;
+  return { length, px: length / lengthPerPx };
+};
@@ -0,0 +1,474 @@
+// Two-slit (and N-slit) wave physics in SVG px units, shared by the engine and the view
+
+// Geometry (SVG px)
+export const SLIT_X = 180;
+export const SCREEN_X = 340;
+export const CENTER_Y = 175;
+export const BARRIER_THICKNESS = 10;
+export const BARRIER_TOP = 35;
+export const BARRIER_BOTTOM = 315;
+export const SOURCE_X = 35;
+// Screen range that is sampled and shown in the distribution panel
+export const SCREEN_Y_MIN = 60;
+export const SCREEN_Y_MAX = 290;
+// Particle flight speed in px per tick (one 60 Hz frame at 1× speed)
+export const PARTICLE_SPEED = 3;
+
+// Adjustable experiment parameters (SVG px)
+export const DEFAULT_PARAMS = {
+  wavelength: 12,
+  slitSpacing: 50,
+  slitWidth: 12,
+  screenDistance: SCREEN_X - SLIT_X,
+  slitCount: 2,
+  // Coherence: source width (px), relative wavelength spread Δλ/λ (1σ) and the rate
+  // (per tick of flight) at which the environment picks up which-path information
+  sourceWidth: 0,
+  wavelengthSpread: 0,
+  decoherenceRate: 0,
+};
+
+export const PARAM_RANGES = {
+  wavelength: { min: 4, max: 30, step: 1 },
+  slitSpacing: { min: 20, max: 120, step: 2 },
+  slitWidth: { min: 4, max: 40, step: 1 },
+  screenDistance: { min: 100, max: 260, step: 5 },
+  slitCount: { min: 3, max: 10, step: 1 },
+  sourceWidth: { min: 0, max: 40, step: 1 },
+  wavelengthSpread: { min: 0, max: 0.2, step: 0.01 },
+  decoherenceRate: { min: 0, max: 0.05, step: 0.001 },
+};
+
+// All openings have to fit on the barrier between BARRIER_TOP and BARRIER_BOTTOM
+export const MAX_APERTURE_SPAN = 220;
+
+export const constrainParams = (params, changedKey) => {
+  const next = { ...params };
+  if (next.slitCount > 1) {
+    if (changedKey === 'slitWidth') next.slitSpacing = Math.max(next.slitSpacing, next.slitWidth + 4);
+    const maxSpacing = Math.floor((MAX_APERTURE_SPAN - next.slitWidth) / (next.slitCount - 1));
+    next.slitSpacing = Math.min(next.slitSpacing, maxSpacing);
+    next.slitWidth = Math.min(next.slitWidth, next.slitSpacing - 4);
+  }
+  return next;
+};
+
+// Parameters from outside the controls, e.g. an imported run, brought into the slider
+// ranges; a single or double slit lies below the grating slider and is kept
+export const clampParams = (params) => {
+  const next = { ...params };
+  Object.entries(PARAM_RANGES).forEach(([key, { min, max }]) => {
+    const value = Number.isFinite(next[key]) ? next[key] : DEFAULT_PARAMS[key];
+    next[key] = key === 'slitCount'
+      ? Math.min(max, Math.max(1, Math.round(value)))
+      : Math.min(max, Math.max(min, value));
+  });
+  return constrainParams(next);
+};
+
+// The barrier moves so that the screen stays fixed at SCREEN_X
+export const getSlitX = (params) => SCREEN_X - params.screenDistance;
+
+// Slit centres, evenly spaced and centred on the beam axis
+export const getSlitYs = (params) => Array.from(
+  { length: params.slitCount },
+  (_, i) => CENTER_Y + (i - (params.slitCount - 1) / 2) * params.slitSpacing
+);
+
+const sinc = (x) => (Math.abs(x) < 1e-9 ? 1 : Math.sin(x) / x);
+
+// Extra path from a source point `sourceOffset` px off the axis to a slit, compared with
+// an on-axis source; an off-axis point shifts the whole pattern by about −offset·L/D
+const sourcePath = (slitY, params, sourceOffset) => {
+  if (sourceOffset === 0) return 0;
+  const D = getSlitX(params) - SOURCE_X;
+  const dy = slitY - CENTER_Y;
+  return Math.sqrt(D * D + (dy - sourceOffset) ** 2) - Math.sqrt(D * D + dy * dy);
+};
+
+// Complex amplitude [re, im] reaching screen height y from each slit.
+// Each slit radiates with its Fraunhofer single-slit envelope; the phase uses
+// the exact slit-to-screen path length, so short screen distances stay correct.
+export const slitAmplitudes = (y, params, sourceOffset = 0) => {
+  const { wavelength, slitWidth, screenDistance: L } = params;
+  const k = (2 * Math.PI) / wavelength;
+  return getSlitYs(params).map(slitY => {
+    const dy = y - slitY;
+    const r = Math.sqrt(L * L + dy * dy);
+    const sinTheta = dy / r;
+    const amp = sinc((Math.PI * slitWidth * sinTheta) / wavelength) * Math.sqrt(L / r);
+    const phase = k * (r + sourcePath(slitY, params, sourceOffset));
+    return [amp * Math.cos(phase), amp * Math.sin(phase)];
+  });
+};
+
+const coherentIntensity = (y, params, sourceOffset = 0) => {
+  let re = 0;
+  let im = 0;
+  slitAmplitudes(y, params, sourceOffset).forEach(([r, i]) => { re += r; im += i; });
+  return re * re + im * im;
+};
+
+// Tables for the last few geometries, oldest dropped first
+const CACHE_SIZE = 8;
+const remember = (cache, key, compute) => {
+  if (cache.has(key)) return cache.get(key);
+  const value = compute();
+  if (cache.size >= CACHE_SIZE) cache.delete(cache.keys().next().value);
+  cache.set(key, value);
+  return value;
+};
+
+const geometryKey = (params) => [
+  params.wavelength, params.slitSpacing, params.slitWidth, params.screenDistance, params.slitCount,
+].join('|');
+
+// Largest value of a pattern over the barrier height: the best point of a 0.5 px grid,
+// refined by golden-section search about every grid peak that comes near it, since the
+// narrow orders of a grating fall between grid points. With more than two slits the
+// exact path lengths put the largest maximum off the axis, so the centre will not do.
+const PEAK_STEP = 0.5;
+const GOLDEN = (Math.sqrt(5) - 1) / 2;
+const patternPeak = (intensityAt) => {
+  const n = Math.round((BARRIER_BOTTOM - BARRIER_TOP) / PEAK_STEP) + 1;
+  const values = Array.from({ length: n }, (_, i) => intensityAt(BARRIER_TOP + i * PEAK_STEP));
+  const gridPeak = Math.max(...values);
+  let peak = gridPeak;
+  values.forEach((value, i) => {
+    if (value < 0.5 * gridPeak || value < (values[i - 1] ?? 0) || value < (values[i + 1] ?? 0)) return;
+    let lo = BARRIER_TOP + Math.max(0, i - 1) * PEAK_STEP;
+    let hi = BARRIER_TOP + Math.min(n - 1, i + 1) * PEAK_STEP;
+    for (let step = 0; step < 30; step++) {
+      const a = hi - GOLDEN * (hi - lo);
+      const b = lo + GOLDEN * (hi - lo);
+      if (intensityAt(a) < intensityAt(b)) lo = a;
+      else hi = b;
+    }
+    peak = Math.max(peak, intensityAt((lo + hi) / 2));
+  });
+  return peak || 1;
+};
+
+const peakCache = new Map();
+
+// Fully coherent interference from one source point at one wavelength: |Σ ψj|²,
+// normalized to the largest maximum of an on-axis source
+export const calculateCoherent = (y, params, sourceOffset = 0) => {
+  const peak = remember(peakCache, `coherent|${geometryKey(params)}`, () => (
+    patternPeak(at => coherentIntensity(at, params))
+  ));
+  return coherentIntensity(y, params, sourceOffset) / peak;
+};
+
+// One source point's pattern over N², the most N unit amplitudes can add up to, so it
+// stays below 1 at any wavelength and source offset without tabulating each of them.
+// The engine samples each electron of a partially coherent source from it.
+export const calculateSourcePoint = (y, params, sourceOffset) =>
+  coherentIntensity(y, params, sourceOffset) / (params.slitCount * params.slitCount);
+
+const isCoherent = (params) => !params.sourceWidth && !params.wavelengthSpread;
+
+// A partially coherent source as weighted (wavelength, source offset) points: a Gaussian
+// wavelength spread cut at ±3σ and a uniform source width, by the midpoint rule
+const WAVELENGTH_NODES = 15;
+const SOURCE_NODES = 9;
+export const coherenceSamples = (params) => {
+  const spread = params.wavelengthSpread || 0;
+  const width = params.sourceWidth || 0;
+  const zs = spread > 0
+    ? Array.from({ length: WAVELENGTH_NODES }, (_, i) => -3 + ((i + 0.5) * 6) / WAVELENGTH_NODES)
+    : [0];
+  const offsets = width > 0
+    ? Array.from({ length: SOURCE_NODES }, (_, i) => -width / 2 + ((i + 0.5) * width) / SOURCE_NODES)
+    : [0];
+  const zWeights = zs.map(z => Math.exp(-z * z / 2));
+  const zTotal = zWeights.reduce((a, b) => a + b, 0);
+  const samples = [];
+  zs.forEach((z, i) => offsets.forEach(sourceOffset => samples.push({
+    wavelength: params.wavelength * (1 + spread * z),
+    sourceOffset,
+    weight: zWeights[i] / zTotal / offsets.length,
+  })));
+  return samples;
+};
+
+// Averaged patterns on a 0.5 px grid over the barrier height, for the last few geometries
+const MIXED_STEP = 0.5;
+const mixedCache = new Map();
+const coherenceKey = (params) => `${geometryKey(params)}|${params.sourceWidth}|${params.wavelengthSpread}`;
+const mixedPattern = (params) => remember(mixedCache, coherenceKey(params), () => {
+  const n = Math.ceil((BARRIER_BOTTOM - BARRIER_TOP) / MIXED_STEP) + 1;
+  const values = new Float64Array(n);
+  const single = new Float64Array(n);
+  const singleArea = () => {
+    let area = 0;
+    for (let i = 0; i < n; i++) {
+      const y = BARRIER_TOP + i * MIXED_STEP;
+      if (y >= SCREEN_Y_MIN && y <= SCREEN_Y_MAX) area += single[i];
+    }
+    return area || 1;
+  };
+  // Every electron reaches the screen, whatever its wavelength: each component is
+  // normalized over the screen before averaging, then the average to its own peak
+  coherenceSamples(params).forEach(({ wavelength, sourceOffset, weight }) => {
+    const own = { ...params, wavelength };
+    for (let i = 0; i < n; i++) single[i] = coherentIntensity(BARRIER_TOP + i * MIXED_STEP, own, sourceOffset);
+    const scale = weight / singleArea();
+    for (let i = 0; i < n; i++) values[i] += single[i] * scale;
+  });
+  const peak = values.reduce((a, b) => Math.max(a, b), 0) || 1;
+  return values.map(value => value / peak);
+});
+
+// Wave interference: |Σ ψj|², normalized to its largest maximum. A finite source or a
+// wavelength spread averages the coherent patterns, which washes out the outer fringes.
+export const calculateInterference = (y, params) => {
+  if (isCoherent(params)) return calculateCoherent(y, params);
+  const values = mixedPattern(params);
+  const position = Math.min(Math.max((y - BARRIER_TOP) / MIXED_STEP, 0), values.length - 1);
+  const i = Math.min(Math.floor(position), values.length - 2);
+  return values[i] + (values[i + 1] - values[i]) * (position - i);
+};
+
+// Classical distribution: one peak behind each slit, widened by slit width and distance.
+// Close slits' peaks overlap and add up, so the sum is scaled to top out at 0.9.
+const classicalSum = (y, params) => {
+  const sigma = params.slitWidth / 2 + 0.05 * params.screenDistance;
+  return getSlitYs(params).reduce(
+    (sum, slitY) => sum + Math.exp(-Math.pow(y - slitY, 2) / (2 * sigma * sigma)),
+    0
+  );
+};
+
+export const calculateClassical = (y, params) => {
+  const peak = remember(peakCache, `classical|${geometryKey(params)}`, () => (
+    patternPeak(at => classicalSum(at, params))
+  ));
+  return (0.9 * classicalSum(y, params)) / peak;
+};
+
+// Area under a pattern over the screen, by the midpoint rule on a 0.5 px grid
+const AREA_STEP = 0.5;
+const screenArea = (intensityAt) => {
+  let area = 0;
+  for (let y = SCREEN_Y_MIN + AREA_STEP / 2; y < SCREEN_Y_MAX; y += AREA_STEP) area += intensityAt(y) * AREA_STEP;
+  return area || 1;
+};
+const areaCache = new Map();
+
+// The same geometry from a point source at one wavelength
+export const coherentParams = (params) => (params.sourceWidth === 0 && params.wavelengthSpread === 0
+  ? params
+  : { ...params, sourceWidth: 0, wavelengthSpread: 0 });
+
+// Partial which-path measurement: a fraction `strength` of the particles is detected
+// at the slits and lands classically, the rest keeps its coherence. Each group lands
+// by its own curve, so the two are mixed as probability densities over the screen.
+export const calculatePartial = (y, params, strength) => {
+  const [classicalArea, interferenceArea] = remember(areaCache, coherenceKey(params), () => [
+    screenArea(at => calculateClassical(at, params)),
+    screenArea(at => calculateInterference(at, params)),
+  ]);
+  return (strength * calculateClassical(y, params)) / classicalArea
+    + ((1 - strength) * calculateInterference(y, params)) / interferenceArea;
+};
+
+// Chance that the environment (stray gas, photons, phonons) picks up the path of a
+// particle on its flight from the slits to the screen
+export const decoherenceProbability = (params) =>
+  1 - Math.exp(-(params.decoherenceRate || 0) * (params.screenDistance / PARTICLE_SPEED));
+
+// Fraction of particles whose path is recorded in the current setup: by the which-path
+// detector with the measurement strength, or else by the environment
+export const getDetectionStrength = (mode, observerOn, measurementStrength, params) => {
+  if (mode === 'particle') return 1;
+  if (mode === 'light') return 0;
+  const measured = observerOn ? measurementStrength : 0;
+  const leaked = params ? decoherenceProbability(params) : 0;
+  return 1 - (1 - measured) * (1 - leaked);
+};
+
+// First interference minimum above the central maximum
+export const findFirstMinimum = (params) => {
+  let previous = calculateInterference(CENTER_Y, params);
+  for (let y = CENTER_Y + 0.5; y < CENTER_Y + 115; y += 0.5) {
+    const current = calculateInterference(y, params);
+    if (current > previous) return y - 0.5;
+    previous = current;
+  }
+  return CENTER_Y + 115;
+};
+
+// The polarizers tag exactly two slits, so the eraser always runs on a double slit
+export const paramsForMode = (mode, params) => (mode !== 'eraser' || params.slitCount === 2
+  ? params
+  : constrainParams({ ...params, slitCount: 2 }));
+
+// Quantum eraser: orthogonal polarizers tag the two slits (H at slit 1, V at slit 2).
+// Untagged, the total shows no fringes; sorting by a ±45° analyser after the
+// detection recovers fringes (+) and anti-fringes (−) in coincidence.
+export const calculateTagged = (y, params) => {
+  const [[r1, i1], [r2, i2]] = slitAmplitudes(y, paramsForMode('eraser', params));
+  const p1 = r1 * r1 + i1 * i1;
+  const p2 = r2 * r2 + i2 * i2;
+  const plus = ((r1 + r2) ** 2 + (i1 + i2) ** 2) / 2;
+  const total = p1 + p2;
+  return { total, pH: p1 / total, pPlus: plus / total };
+};
+
+// Total (tag-blind) eraser distribution, normalized to its peak: far apart, the two
+// slits' envelopes top out behind each slit rather than on the axis
+export const calculateEraserTotal = (y, params) => {
+  const geometry = paramsForMode('eraser', params);
+  const peak = remember(peakCache, `eraser|${geometryKey(geometry)}`, () => (
+    patternPeak(at => calculateTagged(at, geometry).total)
+  ));
+  return calculateTagged(y, geometry).total / peak;
+};
+
+// Coincidence subsets of the eraser distribution, as the weight of a tagged hit
+export const ERASER_SUBSET_WEIGHTS = {
+  all: () => 1,
+  plus: ({ pPlus }) => pPlus,
+  minus: ({ pPlus }) => 1 - pPlus,
+  H: ({ pH }) => pH,
+  V: ({ pH }) => 1 - pH,
+};
+
+export const calculateEraserSubset = (y, params, subset) =>
+  calculateEraserTotal(y, params) * ERASER_SUBSET_WEIGHTS[subset](calculateTagged(y, params));
+
+// Tag of a hit once the analyser setting is chosen; the stored uniform draw keeps
+// the outcome fixed for that setting, however late the choice is made
+export const resolveTag = (hit, erase) => {
+  if (erase) return hit.tagU < hit.pPlus ? 'plus' : 'minus';
+  return hit.tagU < hit.pH ? 'H' : 'V';
+};
+
+// Fringe visibility |Imax − Imin| / (Imax + Imin) between the central maximum and the
+// first minima on either side (anti-fringes count too); undefined without a second slit
+export const fringeVisibility = (intensityAt, params) => {
+  if (params.slitCount < 2) return null;
+  const yMin = findFirstMinimum(params);
+  const iMax = intensityAt(CENTER_Y);
+  const iMin = (intensityAt(yMin) + intensityAt(2 * CENTER_Y - yMin)) / 2;
+  return Math.abs(iMax - iMin) / (iMax + iMin);
+};
+
+// Same measure from running bin counts: hit density in windows on the central maximum
+// and the first minima, taking every bin whose centre falls inside a window
+export const measuredVisibility = (binned, params) => {
+  if (params.slitCount < 2 || binned.total === 0) return null;
+  const { yMin, resolution, counts } = binned;
+  const offset = findFirstMinimum(params) - CENTER_Y;
+  const half = offset / 4;
+  let atMax = 0;
+  let atMin = 0;
+  counts.forEach((count, i) => {
+    const distance = Math.abs(yMin + (i + 0.5) * resolution - CENTER_Y);
+    if (distance < half) atMax += count;
+    else if (Math.abs(distance - offset) < half) atMin += count;
+  });
+  // Two minimum windows against one maximum window
+  const densityMin = atMin / 2;
+  if (atMax + densityMin === 0) return null;
+  return Math.abs(atMax - densityMin) / (atMax + densityMin);
+};
+
+// Small-angle fringe spacing λL/d, or the half-width λL/a of the central peak for a single slit
+export const fringeSpacing = (params) => (params.wavelength * params.screenDistance)
+  / (params.slitCount > 1 ? params.slitSpacing : params.slitWidth);
+
+// Fringe spacing read off running bin counts, as the period of the strongest cosine about the
+// beam axis within 0.7–1.4× the predicted spacing. The counts are Hann-windowed over a few
+// fringes around the centre, with their running mean over one predicted spacing taken off
+// so the slit envelope does not count. Null for a single slit, fringes too wide to measure,
+// a best period at the edge of the search (no fringes there) or one weaker than 5σ of noise.
+const SPACING_STEPS = 70;
+export const measuredFringeSpacing = (binned, params) => {
+  if (params.slitCount < 2 || binned.total === 0) return null;
+  const { yMin, resolution, counts } = binned;
+  const predicted = fringeSpacing(params);
+  const half = Math.min(100, Math.max(30, 2.5 * predicted));
+  if (half < 1.5 * predicted) return null;
+  const prefix = new Float64Array(counts.length + 1);
+  for (let i = 0; i < counts.length; i++) prefix[i + 1] = prefix[i] + counts[i];
+  const width = Math.max(1, Math.round(predicted / resolution));
+  const rows = [];
+  let noise = 0;
+  for (let i = 0; i < counts.length; i++) {
+    const y = yMin + (i + 0.5) * resolution - CENTER_Y;
+    if (Math.abs(y) >= half) continue;
+    const lo = Math.max(0, Math.min(i - (width >> 1), counts.length - width));
+    const mean = (prefix[lo + width] - prefix[lo]) / width;
+    const weight = 0.5 + 0.5 * Math.cos((Math.PI * y) / half);
+    rows.push([y, weight * (counts[i] - mean)]);
+    noise += weight * weight * counts[i];
+  }
+  const amplitudes = Array.from({ length: SPACING_STEPS + 1 }, (_, step) => {
+    const period = predicted * (0.7 + (0.7 * step) / SPACING_STEPS);
+    return Math.abs(rows.reduce((sum, [y, value]) => sum + value * Math.cos((2 * Math.PI * y) / period), 0));
+  });
+  let best = 0;
+  amplitudes.forEach((amplitude, step) => { if (amplitude > amplitudes[best]) best = step; });
+  if (best === 0 || best === SPACING_STEPS || amplitudes[best] ** 2 < 25 * noise) return null;
+  // Parabolic peak between the neighbouring periods
+  const [a, b, c] = [amplitudes[best - 1], amplitudes[best], amplitudes[best + 1]];
+  const shift = a - 2 * b + c !== 0 ? (0.5 * (a - c)) / (a - 2 * b + c) : 0;
+  return predicted * (0.7 + (0.7 * (best + shift)) / SPACING_STEPS);
+};
+
+// Wave field grid cell (px)
+export const FIELD_CELL = 2;
+
+// Time-independent complex amplitude Σ ψj on a grid of FIELD_CELL px cells.
+// The animation only multiplies by e^{-iωt}, so this is computed once per geometry.
+export const computeWaveField = (params) => {
+  const x0 = getSlitX(params) + BARRIER_THICKNESS;
+  const cols = Math.max(1, Math.ceil((SCREEN_X - x0) / FIELD_CELL));
+  const rows = Math.ceil((BARRIER_BOTTOM - BARRIER_TOP) / FIELD_CELL);
+  const { wavelength, slitWidth } = params;
+  const k = (2 * Math.PI) / wavelength;
+  const slitYs = getSlitYs(params);
+  const re = new Float32Array(cols * rows);
+  const im = new Float32Array(cols * rows);
+  const reach = new Float32Array(cols * rows);
+  for (let row = 0; row < rows; row++) {
+    const y = BARRIER_TOP + (row + 0.5) * FIELD_CELL;
+    for (let col = 0; col < cols; col++) {
+      const dx = (col + 0.5) * FIELD_CELL;
+      const idx = row * cols + col;
+      let nearest = Infinity;
+      slitYs.forEach(slitY => {
+        const dy = y - slitY;
+        const r = Math.max(Math.sqrt(dx * dx + dy * dy), wavelength / 2);
+        const sinTheta = dy / r;
+        // Cylindrical wavelet: 1/√r decay with the single-slit angular envelope
+        const amp = sinc((Math.PI * slitWidth * sinTheta) / wavelength) / Math.sqrt(r / wavelength);
+        re[idx] += amp * Math.cos(k * r);
+        im[idx] += amp * Math.sin(k * r);
+        nearest = Math.min(nearest, r);
+      });
+      reach[idx] = nearest;
+    }
+  }
+  // Scale against the on-axis intensity at the screen so the colours stay comparable
+  const refIdx = Math.floor((CENTER_Y - BARRIER_TOP) / FIELD_CELL) * cols + (cols - 1);
+  const refIntensity = Math.max(re[refIdx] * re[refIdx] + im[refIdx] * im[refIdx], 1e-9);
+  return { x0, cols, rows, re, im, reach, k, refIntensity };
+};
+
+// Wave-packet solver domain: from the source box to just past the screen
+export const getSolverGeometry = (params) => ({
+  xMin: 10,
+  xMax: SCREEN_X + 20,
+  yMin: BARRIER_TOP,
+  yMax: BARRIER_BOTTOM,
+  sourceY: CENTER_Y,
+  slitX: getSlitX(params),
+  barrierThickness: BARRIER_THICKNESS,
+  slitYs: getSlitYs(params),
+  slitWidth: params.slitWidth,
+  wavelength: params.wavelength,
+  screenX: SCREEN_X,
+});